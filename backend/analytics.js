@@ -0,0 +1,183 @@
+// --- Sales Analytics ---
+// What GET /api/admin/analytics reports for a date range, worked out by
+// MongoDB aggregation pipelines:
+//
+// - revenue, order count and average order value, in total and per day or
+//   week (weeks start on Monday). Revenue is order totals - shipping and tax
+//   included, discounts taken off - of orders that count as sales (see
+//   SALE_STATUSES in orders.js), dated by when they were paid
+// - the top products by units sold and by revenue (line totals, before
+//   order-level discounts)
+// - cart-to-checkout conversion: of the carts started in the range that hold
+//   items or went to checkout, how many reached checkout and how many paid
+//
+// Days are UTC days. Guest carts are deleted CART_EXPIRY_DAYS after they were
+// last touched, so for older ranges conversion reads high - the abandoned
+// ones are gone.
+
+const { SALE_STATUSES } = require('./orders');
+const { STORE_CURRENCY, toAmountString } = require('./money');
+const { toCsv } = require('./catalog/csv');
+const { badRequest } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVALS = ['day', 'week'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731; // two years of daily buckets at most
+const DEFAULT_TOP = 10;
+
+const SERIES_CSV_COLUMNS = ['date', 'orders', 'units', 'revenue', 'averageOrderValue'];
+const PRODUCTS_CSV_COLUMNS = ['product', 'name', 'units', 'revenue'];
+
+const dateOnly = date => date.toISOString().slice(0, 10);
+const averageOf = (total, count) => (count ? Math.round(total / count) : 0);
+const rateOf = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 10000 : null);
+
+// 'YYYY-MM-DD' strings (both optional, both days included) -> { start, end } Dates, end exclusive.
+// Defaults to the last DEFAULT_RANGE_DAYS days, today included
+function resolveRange(from, to, now = new Date()) {
+  const end = to ? new Date(`${to}T00:00:00Z`).getTime() + DAY_MS : Date.parse(`${dateOnly(now)}T00:00:00Z`) + DAY_MS;
+  const start = from ? new Date(`${from}T00:00:00Z`).getTime() : end - DEFAULT_RANGE_DAYS * DAY_MS;
+  if (start >= end) {
+    throw badRequest('The range must start before it ends.', [{ field: 'from', message: 'Must be on or before `to`' }]);
+  }
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    throw badRequest(`The range can be at most ${MAX_RANGE_DAYS} days.`, [{ field: 'from', message: `At most ${MAX_RANGE_DAYS} days before \`to\`` }]);
+  }
+  return { start: new Date(start), end: new Date(end) };
+}
+
+// the start of every bucket in the range, so days/weeks with no sales show as zero
+function bucketStarts({ start, end }, interval) {
+  let first = start.getTime();
+  if (interval === 'week') first -= ((start.getUTCDay() + 6) % 7) * DAY_MS; // back to Monday
+  const step = interval === 'week' ? 7 * DAY_MS : DAY_MS;
+  const starts = [];
+  for (let time = first; time < end.getTime(); time += step) starts.push(dateOnly(new Date(time)));
+  return starts;
+}
+
+function createAnalytics({ Order, Cart, CartItem }) {
+  // sales paid for within the range. Orders from before payments ('placed')
+  // have no paidAt and go by when they were placed
+  const salesIn = ({ start, end }) => ({
+    status: { $in: SALE_STATUSES },
+    $or: [
+      { paidAt: { $gte: start, $lt: end } },
+      { paidAt: null, createdAt: { $gte: start, $lt: end } },
+    ],
+  });
+
+  // one row per product (or per name, for lines whose product is gone), best first
+  const productTotals = (sortBy, top) => [
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: { $ifNull: ['$items.product', '$items.name'] },
+        product: { $first: '$items.product' },
+        name: { $last: '$items.name' }, // the newest name - sales are sorted oldest first
+        units: { $sum: '$items.quantity' },
+        revenue: { $sum: { $multiply: ['$items.price', '$items.quantity'] } },
+      },
+    },
+    { $sort: { [sortBy]: -1, [sortBy === 'units' ? 'revenue' : 'units']: -1, name: 1 } },
+    ...(top ? [{ $limit: top }] : []),
+    { $project: { _id: 0, product: 1, name: 1, units: 1, revenue: 1 } },
+  ];
+
+  async function salesTotals(range, interval, top) {
+    const bucket = { $dateTrunc: { date: '$soldAt', unit: interval, ...(interval === 'week' ? { startOfWeek: 'monday' } : {}) } };
+    const totals = {
+      orders: { $sum: 1 },
+      units: { $sum: { $sum: '$items.quantity' } },
+      revenue: { $sum: '$total' },
+    };
+
+    const [result] = await Order.aggregate([
+      { $match: salesIn(range) },
+      { $addFields: { soldAt: { $ifNull: ['$paidAt', '$createdAt'] } } },
+      { $sort: { soldAt: 1 } },
+      {
+        $facet: {
+          summary: [{ $group: { _id: null, ...totals } }],
+          series: [{ $group: { _id: bucket, ...totals } }],
+          byUnits: productTotals('units', top),
+          byRevenue: productTotals('revenue', top),
+        },
+      },
+    ]);
+    return result;
+  }
+
+  async function cartConversion({ start, end }) {
+    // version goes up with every change, so 0 means nothing was ever done to
+    // it. Other changes (a coupon) bump it too, so a cart only counts if it
+    // has lines now or went to checkout - paying takes the lines off
+    const [result] = await Cart.aggregate([
+      { $match: { createdAt: { $gte: start, $lt: end }, version: { $gt: 0 } } },
+      { $lookup: { from: CartItem.collection.name, localField: '_id', foreignField: 'cart', as: 'items', pipeline: [{ $limit: 1 }, { $project: { _id: 1 } }] } },
+      { $lookup: { from: Order.collection.name, localField: '_id', foreignField: 'cart', as: 'orders', pipeline: [{ $project: { status: 1 } }] } },
+      { $match: { $or: [{ 'items.0': { $exists: true } }, { 'orders.0': { $exists: true } }] } },
+      {
+        $group: {
+          _id: null,
+          carts: { $sum: 1 },
+          checkouts: { $sum: { $cond: [{ $gt: [{ $size: '$orders' }, 0] }, 1, 0] } },
+          purchases: {
+            $sum: { $cond: [{ $anyElementTrue: [{ $map: { input: '$orders', in: { $in: ['$$this.status', SALE_STATUSES] } } }] }, 1, 0] },
+          },
+        },
+      },
+    ]);
+    const { carts = 0, checkouts = 0, purchases = 0 } = result || {};
+    return {
+      carts,
+      checkouts,
+      purchases,
+      checkoutRate: rateOf(checkouts, carts),
+      purchaseRate: rateOf(purchases, carts),
+    };
+  }
+
+  // the report for `from`..`to` ('YYYY-MM-DD', both optional) in day or week
+  // buckets, with the `top` best products (all of them with top = 0)
+  async function report({ from, to, interval = 'day', top = DEFAULT_TOP } = {}) {
+    const range = resolveRange(from, to);
+    const [sales, conversion] = await Promise.all([salesTotals(range, interval, top), cartConversion(range)]);
+
+    const summary = sales.summary[0] || { orders: 0, units: 0, revenue: 0 };
+    const byBucket = new Map(sales.series.map(row => [dateOnly(row._id), row]));
+    const withAverage = ({ orders, units, revenue }) => ({ orders, units, revenue, averageOrderValue: averageOf(revenue, orders) });
+    const product = row => ({ ...row, product: row.product ? row.product.toString() : null });
+
+    return {
+      range: { from: dateOnly(range.start), to: dateOnly(new Date(range.end - DAY_MS)), interval },
+      currency: STORE_CURRENCY,
+      summary: withAverage(summary),
+      series: bucketStarts(range, interval).map(date => ({ date, ...withAverage(byBucket.get(date) || { orders: 0, units: 0, revenue: 0 }) })),
+      topProducts: {
+        byUnits: sales.byUnits.map(product),
+        byRevenue: sales.byRevenue.map(product),
+      },
+      conversion,
+    };
+  }
+
+  // a report's sales per day/week ('series') or its products by revenue
+  // ('products') as CSV, amounts in currency units like the catalog export
+  function toReportCsv(result, table = 'series') {
+    const amount = minor => toAmountString(minor, result.currency);
+    if (table === 'products') {
+      return toCsv(PRODUCTS_CSV_COLUMNS, result.topProducts.byRevenue.map(row => ({ ...row, revenue: amount(row.revenue) })));
+    }
+    return toCsv(SERIES_CSV_COLUMNS, result.series.map(row => ({
+      ...row,
+      revenue: amount(row.revenue),
+      averageOrderValue: amount(row.averageOrderValue),
+    })));
+  }
+
+  return { report, toCsv: toReportCsv };
+}
+
+module.exports = { createAnalytics, INTERVALS };
@@ -0,0 +1,21 @@
+// --- Category Model ---
+// Categories nest (Apparel > Tops) through `parent`, and products belong to
+// any number of them through product.categories. Collections ("New Arrivals")
+// are hand-picked instead: their own `products` list, in display order.
+
+const mongoose = require('mongoose');
+
+const CATEGORY_TYPES = ['category', 'collection'];
+
+const categorySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  slug: { type: String, required: true, unique: true, trim: true, lowercase: true }, // for URLs
+  description: { type: String, default: '' },
+  type: { type: String, enum: CATEGORY_TYPES, default: 'category' },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null, index: true }, // categories only
+  position: { type: Number, default: 0 }, // order among its siblings in the menu
+  products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }], // collections only, in order
+}, { timestamps: true });
+const Category = mongoose.model('Category', categorySchema);
+
+module.exports = { Category, CATEGORY_TYPES };
@@ -0,0 +1,64 @@
+// --- CSV ---
+// Just enough RFC 4180 for catalog files: comma separated, fields with commas,
+// quotes or line breaks wrapped in double quotes, "" for a literal quote.
+// Reads \n or \r\n line endings and ignores a leading byte-order mark.
+//
+// Spreadsheets run cells starting with = + - or @ as formulas, so toCsv puts a
+// ' in front of those (and of ones already starting '=, '+ ...) and parseCsv
+// takes one off again.
+
+const FORMULA_START = /^'*[=+\-@]/;
+const ESCAPED_FORMULA = /^'+[=+\-@]/;
+
+// text -> array of rows, each an array of cell strings
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endCell = () => { row.push(ESCAPED_FORMULA.test(cell) ? cell.slice(1) : cell); cell = ''; };
+  const endRow = () => { endCell(); rows.push(row); row = []; };
+
+  for (; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new Error('Unclosed quote at the end of the file.');
+  // no trailing newline - the last row still counts
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+function escapeCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = FORMULA_START.test(String(value)) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) || text.trim() !== text ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// header + rows of objects -> text. Missing keys are blank cells
+function toCsv(columns, records) {
+  const lines = [columns, ...records.map(record => columns.map(column => record[column]))];
+  return `${lines.map(cells => cells.map(escapeCell).join(',')).join('\r\n')}\r\n`;
+}
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,358 @@
+// --- Catalog Import/Export ---
+// Bulk-load products from CSV or JSON, matched on SKU: a SKU that's already in
+// the catalog updates that product, a new one creates it. Used by
+// POST /api/admin/products/import, `npm run catalog:import` and the seeder.
+//
+// JSON is an array of products shaped like the admin API's product body
+// (prices in cents), each with a `sku`.
+//
+// Both list categories by slug (see category.js) - collections aren't set here.
+//
+// CSV has one row per product, or one per variant for products with variants.
+// Rows with the same `sku` are one product, and its product columns are read
+// from its first row. Prices are plain amounts ("12.99"), `images` and
+// `categories` are separated by "|", and `archived` is true/false:
+//
+//   sku,name,price,stock,image,variant_sku,size,color,variant_stock,...
+//   VIBE-CAP,Vibe Snapback Cap,18.50,25,https://...,,,,,
+//   VIBE-TEE,Classic Vibe Tee,25.00,,https://...,VT-BLK-S,S,Black,8
+//   VIBE-TEE,,,,,VT-BLK-M,M,Black,10
+//
+// Every row is validated before anything is written. A file with any errors
+// imports nothing; a dry run reports what would happen, errors included.
+
+const { Product } = require('./product');
+const { Category } = require('./category');
+const { parseCsv, toCsv } = require('./csv');
+const { schemas } = require('../validation');
+const { ApiError, badRequest } = require('../errors');
+const { parseAmount, toAmountString } = require('../money');
+
+const PRODUCT_COLUMNS = ['sku', 'name', 'description', 'category', 'categories', 'price', 'stock', 'weight', 'image', 'images', 'archived'];
+// variant columns -> variant fields
+const VARIANT_COLUMNS = {
+  variant_sku: 'sku',
+  size: 'size',
+  color: 'color',
+  variant_price: 'price',
+  variant_stock: 'stock',
+  variant_image: 'image',
+};
+const CSV_COLUMNS = [...PRODUCT_COLUMNS, ...Object.keys(VARIANT_COLUMNS)];
+const LIST_SEPARATOR = '|'; // between images/categories in a cell
+
+// what export writes and import reads, for one product
+const CATALOG_FIELDS = ['sku', 'name', 'description', 'category', 'categories', 'price', 'stock', 'weight', 'image', 'images', 'archived', 'variants'];
+const VARIANT_FIELDS = ['sku', 'size', 'color', 'price', 'stock', 'image'];
+
+// --- Reading ---
+// Both formats turn into "records": { product, row, locate(path) }, where
+// locate maps a validation error's path back to the row/field to report
+
+function readJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw badRequest(`File is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(data)) {
+    throw badRequest('JSON imports must be an array of products.');
+  }
+
+  return {
+    errors: [],
+    records: data.map((product, index) => ({
+      product,
+      row: index + 1,
+      locate: path => ({ row: index + 1, field: path.join('.') }),
+    })),
+  };
+}
+
+// one CSV cell -> value. '' is "not given"
+const CELL_PARSERS = {
+  price: text => parseAmount(text),
+  stock: text => (/^\d+$/.test(text) ? Number(text) : null),
+  weight: text => (/^\d+$/.test(text) ? Number(text) : null),
+  archived: text => ({ true: true, false: false, yes: true, no: false, 1: true, 0: false })[text.toLowerCase()] ?? null,
+  images: text => text.split(LIST_SEPARATOR).map(url => url.trim()).filter(Boolean),
+  categories: text => text.split(LIST_SEPARATOR).map(slug => slug.trim()).filter(Boolean),
+};
+
+const CELL_ERRORS = {
+  price: 'Must be an amount like 12.99',
+  stock: 'Must be a whole number',
+  weight: 'Must be a whole number of grams',
+  archived: 'Must be true or false',
+};
+
+function readCsv(text) {
+  let rows;
+  try {
+    rows = parseCsv(text);
+  } catch (err) {
+    throw badRequest(`File is not valid CSV: ${err.message}`);
+  }
+  const [header = [], ...body] = rows;
+  const columns = header.map(column => column.trim().toLowerCase());
+
+  const errors = [];
+  const unknown = columns.filter(column => column && !CSV_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    errors.push({ row: 1, field: unknown.join(', '), message: `Unknown column. Expected some of: ${CSV_COLUMNS.join(', ')}` });
+  }
+  if (!columns.includes('sku')) {
+    errors.push({ row: 1, field: 'sku', message: 'Missing column' });
+  }
+  if (errors.length > 0) return { errors, records: [] };
+
+  const hasVariants = columns.includes('variant_sku');
+  const bySku = new Map();
+
+  body.forEach((cells, index) => {
+    const row = index + 2; // the header is row 1
+    const cell = {};
+    columns.forEach((column, i) => {
+      const value = (cells[i] || '').trim();
+      if (value !== '') cell[column] = value;
+    });
+    if (Object.keys(cell).length === 0) return; // blank line
+
+    // parse one column, noting a bad value
+    const read = (column, fallback) => {
+      if (cell[column] === undefined) return undefined;
+      const type = fallback || column;
+      const value = CELL_PARSERS[type] ? CELL_PARSERS[type](cell[column]) : cell[column];
+      if (value === null) {
+        errors.push({ row, sku: cell.sku, field: column, message: CELL_ERRORS[type] });
+      }
+      return value;
+    };
+
+    if (!cell.sku) {
+      errors.push({ row, field: 'sku', message: 'Required' });
+      return;
+    }
+
+    let record = bySku.get(cell.sku);
+    if (record && !cell.variant_sku) {
+      errors.push({ row, sku: cell.sku, field: 'sku', message: `Duplicate of row ${record.row}` });
+      return;
+    }
+    if (!record) {
+      const product = {};
+      PRODUCT_COLUMNS.forEach((column) => {
+        const value = read(column);
+        if (value != null) product[column] = value;
+      });
+      if (hasVariants) product.variants = [];
+
+      const variantRows = [];
+      record = {
+        product,
+        row,
+        variantRows,
+        // variants.2.price -> the third variant's row, variant_price column
+        locate: (path) => {
+          if (path[0] === 'variants' && typeof path[1] === 'number') {
+            const field = Object.keys(VARIANT_COLUMNS).find(column => VARIANT_COLUMNS[column] === path[2]);
+            return { row: variantRows[path[1]] || row, field: field || 'variant' };
+          }
+          return { row, field: path.join('.') };
+        },
+      };
+      bySku.set(cell.sku, record);
+    }
+
+    if (hasVariants && cell.variant_sku) {
+      const variant = {};
+      Object.entries(VARIANT_COLUMNS).forEach(([column, field]) => {
+        const value = read(column, field === 'price' || field === 'stock' ? field : undefined);
+        if (value != null) variant[field] = value;
+      });
+      record.product.variants.push(variant);
+      record.variantRows.push(row);
+    }
+  });
+
+  return { errors, records: [...bySku.values()] };
+}
+
+// --- Importing ---
+
+// validate every record. returns [{ record, product }] for the good ones, errors for the rest.
+// `readErrors` are cells that didn't parse - they aren't reported again as missing
+function validateRecords(records, readErrors) {
+  const valid = [];
+  const errors = [];
+  const seen = new Map(); // sku -> row
+  const reported = new Set(readErrors.map(({ row, field }) => `${row}:${field}`));
+
+  for (const record of records) {
+    const result = schemas.catalogProduct.safeParse(record.product);
+    if (!result.success) {
+      result.error.issues.forEach((issue) => {
+        const { row, field } = record.locate(issue.path);
+        if (!reported.has(`${row}:${field}`)) {
+          errors.push({ row, sku: record.product?.sku, field, message: issue.message });
+        }
+      });
+      continue;
+    }
+    if (readErrors.some(error => error.sku === result.data.sku)) continue;
+
+    const product = result.data;
+    if (seen.has(product.sku)) {
+      errors.push({ row: record.row, sku: product.sku, field: 'sku', message: `Duplicate of row ${seen.get(product.sku)}` });
+      continue;
+    }
+    seen.set(product.sku, record.row);
+    valid.push({ record, product });
+  }
+
+  return { valid, errors };
+}
+
+// category slugs -> ids. Records naming a category that doesn't exist are
+// reported and left out. returns { valid, errors } like validateRecords
+async function resolveCategories(records) {
+  const slugs = [...new Set(records.flatMap(({ product }) => product.categories || []))];
+  const categories = await Category.find({ slug: { $in: slugs }, type: 'category' }).select('slug');
+  const ids = new Map(categories.map(category => [category.slug, category._id]));
+
+  const valid = [];
+  const errors = [];
+  for (const { record, product } of records) {
+    const unknown = (product.categories || []).filter(slug => !ids.has(slug));
+    if (unknown.length > 0) {
+      errors.push({ row: record.row, sku: product.sku, field: 'categories', message: `No category called ${unknown.join(', ')}` });
+      continue;
+    }
+    const resolved = product.categories ? { ...product, categories: product.categories.map(slug => ids.get(slug)) } : product;
+    valid.push({ record, product: resolved });
+  }
+  return { valid, errors };
+}
+
+// validated product -> fields to write. Variants already on the product keep
+// their _id (matched by SKU), so carts and orders holding them still work
+function toUpdate(product, existing, now) {
+  const fields = { ...product };
+  if (fields.variants) {
+    const existingIds = new Map((existing ? existing.variants : []).map(v => [v.sku, v._id]));
+    fields.variants = fields.variants.map(({ _id, ...variant }) => (
+      existingIds.has(variant.sku) ? { ...variant, _id: existingIds.get(variant.sku) } : variant
+    ));
+  }
+  // a row without variant columns can't set the stock of a product that has
+  // variants - they stay, and so does the total worked out from them
+  if (!fields.variants && existing && existing.variants.length > 0) {
+    fields.stock = existing.variants.reduce((acc, v) => acc + v.stock, 0);
+  }
+  if (fields.archived !== undefined) {
+    fields.archivedAt = fields.archived ? (existing && existing.archivedAt) || now : null;
+  }
+  return fields;
+}
+
+// import a CSV or JSON catalog file.
+// returns { dryRun, total, created, updated, errors, products: [{ row, sku, name, action }] }.
+// Without dryRun, a file with errors throws a VALIDATION_ERROR listing them
+// ({ row, sku, field, message }) and nothing is written
+async function importCatalog(text, { format, dryRun = false }) {
+  const { errors: readErrors, records } = format === 'csv' ? readCsv(text) : readJson(text);
+  if (readErrors.length === 0 && records.length === 0) {
+    throw badRequest('There are no products in that file.');
+  }
+
+  const checked = validateRecords(records, readErrors);
+  const { valid, errors: categoryErrors } = await resolveCategories(checked.valid);
+  const errors = [...readErrors, ...checked.errors, ...categoryErrors].sort((a, b) => a.row - b.row);
+
+  const existing = await Product.find({ sku: { $in: valid.map(({ product }) => product.sku) } });
+  const bySku = new Map(existing.map(product => [product.sku, product]));
+  const products = valid.map(({ record, product }) => ({
+    row: record.row,
+    sku: product.sku,
+    name: product.name,
+    action: bySku.has(product.sku) ? 'update' : 'create',
+  }));
+
+  const report = {
+    dryRun,
+    total: records.length,
+    created: products.filter(p => p.action === 'create').length,
+    updated: products.filter(p => p.action === 'update').length,
+    errors,
+    products,
+  };
+  if (dryRun) return report;
+
+  if (errors.length > 0) {
+    throw new ApiError(400, 'VALIDATION_ERROR', `${errors.length} problem${errors.length === 1 ? '' : 's'} in the file. Nothing was imported.`, errors);
+  }
+
+  const now = new Date();
+  await Product.bulkWrite(valid.map(({ product }) => {
+    const current = bySku.get(product.sku);
+    const fields = toUpdate(product, current, now);
+    return current
+      ? { updateOne: { filter: { _id: current._id }, update: { $set: fields } } }
+      : { insertOne: { document: fields } };
+  }));
+
+  return report;
+}
+
+// --- Exporting ---
+
+// Product doc -> the JSON import shape (no ids, so it can go into another store)
+function toCatalogJson(product) {
+  const pick = (source, fields) => Object.fromEntries(
+    fields.filter(field => source[field] != null && source[field] !== '').map(field => [field, source[field]])
+  );
+  return {
+    ...pick(product, CATALOG_FIELDS.filter(field => field !== 'variants')),
+    variants: (product.variants || []).map(variant => pick(variant, VARIANT_FIELDS)),
+  };
+}
+
+// one product -> its CSV rows. Product columns go on the first row only
+function toCsvRows(product) {
+  const first = {
+    ...product,
+    price: toAmountString(product.price),
+    images: (product.images || []).join(LIST_SEPARATOR),
+    categories: (product.categories || []).join(LIST_SEPARATOR),
+  };
+  if (product.variants.length === 0) return [first];
+
+  return product.variants.map((variant, index) => ({
+    ...(index === 0 ? { ...first, stock: undefined } : { sku: product.sku }),
+    variant_sku: variant.sku,
+    size: variant.size,
+    color: variant.color,
+    variant_price: variant.price != null ? toAmountString(variant.price) : undefined,
+    variant_stock: variant.stock,
+    variant_image: variant.image,
+  }));
+}
+
+// products are matched on SKU, so ones without one can't be imported again
+const HAS_SKU = { sku: { $nin: [null, ''] } };
+
+// the whole catalog, archived products included, as CSV text or a JSON array.
+// returns { catalog, skipped } - skipped is how many products were left out
+// for having no SKU
+async function exportCatalog(format) {
+  const [found, skipped] = await Promise.all([
+    Product.find(HAS_SKU).sort({ archived: 1, name: 1 }).populate('categories', 'slug').lean(),
+    Product.countDocuments({ $nor: [HAS_SKU] }),
+  ]);
+  const products = found
+    .map(product => toCatalogJson({ ...product, categories: product.categories.filter(Boolean).map(category => category.slug) }));
+  return { catalog: format === 'csv' ? toCsv(CSV_COLUMNS, products.flatMap(toCsvRows)) : products, skipped };
+}
+
+module.exports = { importCatalog, exportCatalog };
@@ -0,0 +1,72 @@
+// --- Product Model ---
+// Lives outside server.js so the catalog scripts can use it without starting
+// the API. Money is integer minor units (cents) - see money.js.
+
+const mongoose = require('mongoose');
+const { STORE_CURRENCY } = require('../money');
+
+// Variant Schema - one size/color of a product, see variants.js
+const variantSchema = new mongoose.Schema({
+  sku: { type: String, required: true, trim: true },
+  size: { type: String, trim: true },
+  color: { type: String, trim: true },
+  price: { type: Number, min: 0, validate: Number.isInteger }, // cents, unset = product price
+  image: { type: String }, // unset = product image
+  stock: { type: Number, required: true, min: 0, default: 0 },
+});
+
+// an uploaded photo (see media/images.js): the file as sent plus the resized
+// copies the store shows. `image` / `images` point at its detail size
+const photoSizeSchema = new mongoose.Schema({
+  name: { type: String, required: true }, // thumb | grid | detail
+  width: { type: Number, required: true },
+  height: { type: Number, required: true },
+  url: { type: String, required: true },
+}, { _id: false });
+
+const photoSchema = new mongoose.Schema({
+  original: {
+    url: { type: String, required: true },
+    width: Number,
+    height: Number,
+    contentType: String,
+    bytes: Number,
+  },
+  sizes: { type: [photoSizeSchema], default: [] },
+  files: { type: [String], default: [] }, // storage keys, to delete them with the photo
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// Product Schema
+const productSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  // the key catalog imports match rows on. Optional - products made before it have none
+  sku: { type: String, trim: true, unique: true, sparse: true },
+  description: { type: String, default: '' },
+  // a plain label, for the catalog's category filter. The store menu uses `categories`
+  category: { type: String, default: 'Uncategorized', index: true },
+  // categories it's listed under (see category.js), any number of them
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  // money is integer minor units (cents) - see money.js
+  price: { type: Number, required: true, min: 0, validate: Number.isInteger },
+  currency: { type: String, default: STORE_CURRENCY },
+  image: { type: String, required: true },
+  images: { type: [String], default: [] }, // extra gallery shots for the product page
+  photos: { type: [photoSchema], default: [] }, // uploads, see POST /api/products/:id/images
+  // units available to sell. For products with variants this is the sum of
+  // the variants' stock, kept in step whenever variant stock moves
+  stock: { type: Number, required: true, min: 0, default: 0 },
+  variants: { type: [variantSchema], default: [] },
+  weight: { type: Number, min: 0, default: 0 }, // grams per unit, for weight-based shipping
+  // soft-delete - archived products drop out of the catalog but old carts/orders still render
+  archived: { type: Boolean, default: false },
+  archivedAt: { type: Date },
+  // from visible reviews, kept in sync by refreshProductRating() in server.js
+  rating: {
+    average: { type: Number, default: 0 }, // 1-5, one decimal place. 0 = no reviews yet
+    count: { type: Number, default: 0 },
+  },
+});
+productSchema.index({ categories: 1 });
+const Product = mongoose.model('Product', productSchema);
+
+module.exports = { Product };
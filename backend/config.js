@@ -0,0 +1,109 @@
+// --- Config ---
+// Reads and checks the environment (.env) once, at startup. Anything missing
+// or malformed stops the server with a list of what to fix, instead of it
+// half-starting and failing on the first request that needs it.
+//
+// server.js takes its settings from the object loadConfig() returns. The
+// modules with their own env vars (mail/, media/, payments/, logger.js) still
+// read them, but their values are checked here too.
+
+const { z } = require('zod');
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// env values are strings; blank counts as not set
+const unset = value => (value === '' ? undefined : value);
+const text = z.preprocess(unset, z.string().trim().optional());
+const url = z.preprocess(unset, z.string().url('Must be a full URL, e.g. http://localhost:3000').optional());
+const number = ({ min = 0, integer = false } = {}) => {
+  const schema = z.number({ invalid_type_error: 'Must be a number' }).min(min, `Must be at least ${min}`);
+  return z.preprocess(
+    value => (unset(value) === undefined ? undefined : Number(value)),
+    (integer ? schema.int('Must be a whole number') : schema).optional()
+  );
+};
+const flag = z.preprocess(unset, z.enum(['true', 'false']).optional());
+
+// CORS_ORIGINS: comma-separated origins allowed to call the API, or * for any
+const origins = z.preprocess(
+  value => (unset(value) === undefined ? undefined : String(value).split(',').map(origin => origin.trim()).filter(Boolean)),
+  z.array(z.union([
+    z.literal('*'),
+    z.string().regex(/^https?:\/\/[^/\s]+$/, 'Each origin is a scheme and host, like http://localhost:3000 (no path)'),
+  ])).optional()
+);
+
+const envSchema = z.object({
+  NODE_ENV: z.preprocess(unset, z.enum(['development', 'production', 'test']).default('development')),
+  PORT: number({ min: 1, integer: true }),
+  MONGO_URI: z.preprocess(unset, z.string({ required_error: 'Required - the MongoDB connection string' })
+    .regex(/^mongodb(\+srv)?:\/\//, 'Must start with mongodb:// or mongodb+srv://')),
+  CORS_ORIGINS: origins,
+  STORE_URL: url,
+  JWT_SECRET: z.preprocess(unset, z.string().min(16, 'Use at least 16 characters').optional()),
+  JWT_EXPIRES_IN: text,
+  ADMIN_API_KEY: text.refine(value => value !== 'change-me', 'Still the placeholder from .env.example - pick a secret key, e.g. from `openssl rand -hex 32`'),
+  METRICS_TOKEN: text,
+  PAYMENT_WEBHOOK_URL: url,
+  ABANDONED_CART_AFTER_MINUTES: number({ min: 1 }),
+  CART_EXPIRY_DAYS: number({ min: 1 }),
+  CART_JOBS_INTERVAL_MINUTES: number({ min: 1 }),
+  CART_JOBS_ENABLED: flag,
+  SHUTDOWN_TIMEOUT_SECONDS: number({ min: 1 }),
+  // read by their own modules, only checked here
+  SMTP_PORT: number({ min: 1, integer: true }),
+  SMTP_SECURE: flag,
+  MOCK_PAYMENT_DELAY_MS: number({ integer: true }),
+  MEDIA_URL: url,
+  MAX_IMAGE_MB: number({ min: 0.1 }),
+  LOG_LEVEL: z.preprocess(unset, z.enum(['debug', 'info', 'warn', 'error']).optional()),
+  LOG_FORMAT: z.preprocess(unset, z.enum(['json', 'pretty']).optional()),
+}).superRefine((env, ctx) => {
+  // a random secret signs everyone out on every deploy - fine locally only
+  if (env.NODE_ENV === 'production' && !env.JWT_SECRET) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['JWT_SECRET'], message: 'Required in production' });
+  }
+  if (env.NODE_ENV === 'production' && !env.CORS_ORIGINS) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['CORS_ORIGINS'], message: 'Required in production - the storefront\'s origin(s), or * for any' });
+  }
+});
+
+// check `env` and return the settings server.js uses. Throws a ConfigError
+// listing every problem
+function loadConfig(env = process.env) {
+  const result = envSchema.safeParse(env);
+  if (!result.success) {
+    throw new ConfigError(result.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`));
+  }
+
+  const vars = result.data;
+  const port = vars.PORT || 5001;
+  const storeUrl = vars.STORE_URL || 'http://localhost:3000';
+  return {
+    env: vars.NODE_ENV,
+    port,
+    mongoUri: vars.MONGO_URI,
+    // the storefront's own origin unless told otherwise
+    corsOrigins: vars.CORS_ORIGINS || [new URL(storeUrl).origin],
+    jwtSecret: vars.JWT_SECRET,
+    jwtExpiresIn: vars.JWT_EXPIRES_IN || '7d',
+    adminApiKey: vars.ADMIN_API_KEY,
+    metricsToken: vars.METRICS_TOKEN,
+    paymentWebhookUrl: vars.PAYMENT_WEBHOOK_URL || `http://localhost:${port}/api/payments/webhook`,
+    cartJobs: {
+      enabled: vars.CART_JOBS_ENABLED !== 'false',
+      abandonedAfterMs: (vars.ABANDONED_CART_AFTER_MINUTES || 120) * 60 * 1000,
+      expiryMs: (vars.CART_EXPIRY_DAYS || 30) * 24 * 60 * 60 * 1000,
+      intervalMs: (vars.CART_JOBS_INTERVAL_MINUTES || 15) * 60 * 1000,
+    },
+    shutdownTimeoutMs: (vars.SHUTDOWN_TIMEOUT_SECONDS || 10) * 1000,
+  };
+}
+
+module.exports = { loadConfig, ConfigError };
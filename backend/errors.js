@@ -0,0 +1,110 @@
+// --- Errors ---
+// Every error response looks like { error: { code, message, details, requestId } }.
+// Routes throw an ApiError (or let one bubble up) and errorHandler() turns it
+// into that shape - Express 5 forwards rejected async handlers here for us.
+//
+//   code      - stable, machine readable (VALIDATION_ERROR, NOT_FOUND, OUT_OF_STOCK, ...)
+//   message   - for people, safe to show in the UI
+//   details   - optional extra data, e.g. field errors or the current cart
+//   requestId - the request's id (see requestTracking.js), to find it in the logs
+
+const { ZodError } = require('zod');
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const badRequest = (message, details) => new ApiError(400, 'BAD_REQUEST', message, details);
+const unauthorized = (message, details) => new ApiError(401, 'UNAUTHORIZED', message, details);
+const notFound = (message, details) => new ApiError(404, 'NOT_FOUND', message, details);
+// 409s carry a more specific code, e.g. conflict('OUT_OF_STOCK', ...)
+const conflict = (code, message, details) => new ApiError(409, code, message, details);
+
+// codes for errors from elsewhere (body-parser, express) that come with a status
+const HTTP_ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  408: 'REQUEST_TIMEOUT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  429: 'TOO_MANY_REQUESTS',
+};
+
+// zod issues -> [{ field, message }], field is a dotted path like "address.city"
+function formatIssues(error) {
+  return error.issues.map(issue => ({
+    field: issue.path.join('.'),
+    message: issue.message
+  }));
+}
+
+// translate anything thrown into { status, body }
+function toErrorResponse(err) {
+  if (err instanceof ApiError) {
+    return { status: err.status, code: err.code, message: err.message, details: err.details };
+  }
+  if (err instanceof ZodError) {
+    return { status: 400, code: 'VALIDATION_ERROR', message: 'Some fields are invalid.', details: formatIssues(err) };
+  }
+  // express.json() couldn't parse the body
+  if (err.type === 'entity.parse.failed') {
+    return { status: 400, code: 'INVALID_JSON', message: 'Request body is not valid JSON.' };
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return { status: 400, code: 'VALIDATION_ERROR', message: `${err.path} is invalid.`, details: [{ field: err.path, message: 'Invalid value' }] };
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(err.errors).map(e => ({ field: e.path, message: e.message }));
+    return { status: 400, code: 'VALIDATION_ERROR', message: 'Some fields are invalid.', details };
+  }
+  if (err.code === 11000) {
+    return { status: 409, code: 'DUPLICATE', message: 'That already exists.' };
+  }
+  // anything else that says what's wrong with the request, e.g. body-parser's
+  // 413 for a body over the limit or 415 for a charset it can't read
+  const status = err.status || err.statusCode;
+  if (Number.isInteger(status) && status >= 400 && status < 500) {
+    return {
+      status,
+      code: HTTP_ERROR_CODES[status] || 'BAD_REQUEST',
+      message: err.expose && err.message ? `${err.message[0].toUpperCase()}${err.message.slice(1)}.` : 'The request could not be handled.',
+    };
+  }
+  return { status: 500, code: 'INTERNAL_ERROR', message: 'Something went wrong on our end. Please try again.' };
+}
+
+// the last middleware in server.js. Keep all 4 args - that's how express
+// tells an error handler apart from normal middleware
+function errorHandler(err, req, res, next) {
+  const { status, code, message, details } = toErrorResponse(err);
+  if (status >= 500) {
+    (req.log || logger).error('Request failed', { method: req.method, path: req.originalUrl, err });
+  }
+  res.status(status).json({ error: { code, message, details, requestId: req.id } });
+}
+
+// unknown /api routes get the same shape instead of express's HTML page
+function notFoundHandler(req, res, next) {
+  next(notFound(`No route for ${req.method} ${req.path}.`));
+}
+
+module.exports = {
+  ApiError,
+  badRequest,
+  unauthorized,
+  notFound,
+  conflict,
+  errorHandler,
+  notFoundHandler,
+};
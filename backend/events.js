@@ -0,0 +1,88 @@
+// --- Live Events ---
+// Server-Sent Events for the storefront (GET /api/events). publish() sends an
+// event to every connected browser, or only to the ones watching a given cart.
+//
+//   const events = createEventStream();
+//   events.publish('product', product);                 // everyone
+//   events.publish('cart', { version }, { cart: id });  // that cart's tabs
+//
+// Recent events are kept so a browser that reconnects (sending the last id it
+// saw as Last-Event-ID) gets what it missed. If that's too far back, or from
+// before a server restart, it gets a 'resync' event and should reload instead.
+
+const crypto = require('crypto');
+
+function createEventStream({ replaySize = 200, heartbeatMs = 25000, retryMs = 3000 } = {}) {
+  const clients = new Set();
+  const recent = []; // the last `replaySize` events, oldest first
+  // ids are "<boot>-<n>" so ids from before a restart are recognised as stale
+  const boot = crypto.randomBytes(4).toString('hex');
+  let lastId = 0;
+
+  const write = (client, { id, type, data }) => {
+    client.res.write(`id: ${boot}-${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const wants = (client, event) => !event.cart || event.cart === client.cart;
+
+  // send what the client missed since `lastEventId`, or tell it to resync.
+  // nothing to do on a first connection
+  const replay = (client, lastEventId) => {
+    if (!lastEventId) return;
+    const [eventBoot, n] = lastEventId.split('-');
+    const seen = Number(n);
+    const oldest = recent.length > 0 ? recent[0].id : lastId + 1;
+    if (eventBoot !== boot || !Number.isInteger(seen) || seen > lastId || seen < oldest - 1) {
+      write(client, { id: lastId, type: 'resync', data: {} });
+      return;
+    }
+    recent.filter(event => event.id > seen && wants(client, event)).forEach(event => write(client, event));
+  };
+
+  return {
+    // `cart` (a string id) limits the event to clients watching that cart
+    publish(type, data, { cart = null } = {}) {
+      lastId += 1;
+      const event = { id: lastId, type, data, cart };
+      recent.push(event);
+      if (recent.length > replaySize) recent.shift();
+      clients.forEach(client => wants(client, event) && write(client, event));
+    },
+
+    // hold `res` open as an event stream until the client goes away.
+    // `cart` is the cart id it wants cart events for, if any
+    connect(req, res, { cart = null, lastEventId = null } = {}) {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // don't let nginx sit on the events
+      });
+      res.flushHeaders();
+      res.write(`retry: ${retryMs}\n\n`);
+
+      const client = { res, cart };
+      clients.add(client);
+      replay(client, lastEventId);
+
+      // a comment now and then keeps proxies from closing an idle connection
+      const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(client);
+      });
+    },
+
+    // end every stream, e.g. when shutting down
+    close() {
+      clients.forEach(client => client.res.end());
+      clients.clear();
+    },
+
+    get size() {
+      return clients.size;
+    },
+  };
+}
+
+module.exports = { createEventStream };
@@ -0,0 +1,70 @@
+// --- Logging ---
+// One JSON object per line on stdout, so log tools can filter on fields
+// instead of grepping text:
+//
+//   {"time":"...","level":"info","msg":"request","requestId":"...","route":"/api/cart","status":201,"durationMs":12.3}
+//
+//   logger.info('Database seeded', { products: 6 });
+//   logger.error('Failed to send email', { orderId, err }); // errors keep their stack
+//   const log = logger.child({ requestId });                 // adds requestId to every line
+//
+// LOG_LEVEL is the least severe level written: debug, info (default), warn or error.
+// LOG_FORMAT=pretty prints plain lines instead - easier to read while developing.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function serializeError(err) {
+  return { name: err.name, message: err.message, code: err.code, status: err.status, stack: err.stack };
+}
+
+// 12:00:00.000 INFO request route=/api/cart status=201 (stack traces underneath)
+function prettyLine({ time, level, msg, ...fields }) {
+  const stacks = [];
+  const pairs = Object.entries(fields).map(([key, value]) => {
+    if (value && value.stack) stacks.push(value.stack);
+    const text = value && value.stack ? value.message : value;
+    return `${key}=${typeof text === 'object' ? JSON.stringify(text) : text}`;
+  });
+  return [`${time.slice(11, 23)} ${level.toUpperCase()} ${msg} ${pairs.join(' ')}`.trimEnd(), ...stacks].join('\n');
+}
+
+function createLogger({
+  level = process.env.LOG_LEVEL || 'info',
+  format = process.env.LOG_FORMAT || 'json',
+  fields = {},
+  write = line => process.stdout.write(`${line}\n`),
+} = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  const log = (entryLevel, msg, extra = {}) => {
+    if (LEVELS[entryLevel] < threshold) return;
+    const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...fields };
+    for (const [key, value] of Object.entries(extra)) {
+      if (value === undefined) continue;
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
+
+    let line;
+    try {
+      line = format === 'pretty' ? prettyLine(entry) : JSON.stringify(entry);
+    } catch {
+      // something in `extra` doesn't serialize (a cycle, a BigInt) - keep the message at least
+      line = JSON.stringify({ time: entry.time, level: entryLevel, msg, ...fields, unserializable: true });
+    }
+    write(line);
+  };
+
+  return {
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+    // a logger that adds `more` to every line
+    child: more => createLogger({ level, format, write, fields: { ...fields, ...more } }),
+  };
+}
+
+// the app's logger
+const logger = createLogger();
+
+module.exports = { createLogger, logger };
@@ -0,0 +1,62 @@
+// --- Mailer ---
+// Order emails go out only through this interface. MAIL_TRANSPORT picks how:
+//
+//   smtp    - any SMTP server: SMTP_HOST, SMTP_PORT (587), SMTP_SECURE (true for 465),
+//             SMTP_USER / SMTP_PASS if it needs auth. Point it at a local catcher
+//             (MailHog, Mailpit - usually localhost:1025) to read them while developing.
+//   console - writes them to the server log, one entry each. The default when SMTP_HOST isn't set.
+//
+// A mailer is { name, send({ to, subject, text, html }) -> { messageId } }.
+// Emails come from MAIL_FROM.
+
+const nodemailer = require('nodemailer');
+const { logger } = require('../logger');
+
+const DEFAULT_FROM = 'Vibe Commerce <orders@vibecommerce.local>';
+
+function createSmtpMailer({ from }) {
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, text, html }) {
+      const info = await transport.sendMail({ from, to, subject, text, html });
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+function createConsoleMailer({ from }) {
+  let sent = 0;
+  return {
+    name: 'console',
+    async send({ to, subject, text }) {
+      sent += 1;
+      const messageId = `console-${sent}`;
+      logger.info('Email (not sent - console mailer)', { messageId, from, to, subject, text });
+      return { messageId };
+    },
+  };
+}
+
+const MAILER_FACTORIES = {
+  smtp: createSmtpMailer,
+  console: createConsoleMailer,
+};
+
+// build the mailer named by MAIL_TRANSPORT (default: smtp if SMTP_HOST is set, else console)
+function createMailer() {
+  const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+  const factory = MAILER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Available: ${Object.keys(MAILER_FACTORIES).join(', ')}`);
+  }
+  return factory({ from: process.env.MAIL_FROM || DEFAULT_FROM });
+}
+
+module.exports = { createMailer };
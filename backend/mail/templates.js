@@ -0,0 +1,156 @@
+// --- Email Templates ---
+// Each template takes a receipt from formatOrder() and returns
+// { subject, text, html }. Keep the text and html versions saying the same thing.
+
+const { formatMoney } = require('../money');
+
+const STORE_NAME = 'Vibe Commerce';
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function storeUrl() {
+  return (process.env.STORE_URL || 'http://localhost:3000').replace(/\/$/, '');
+}
+
+// link to the order page (STORE_URL is the frontend's address), with the
+// order's access token - the page needs it to show a guest's order
+function orderUrl(order) {
+  const token = order.accessToken ? `?token=${encodeURIComponent(order.accessToken)}` : '';
+  return `${storeUrl()}/orders/${order.orderId}${token}`;
+}
+
+function itemName(item) {
+  return item.options ? `${item.name} (${item.options})` : item.name;
+}
+
+// the line items and totals, as text and as html
+function summary(order) {
+  const money = amount => formatMoney(amount, order.currency);
+  const rows = [
+    ...order.items.map(item => [`${itemName(item)} x ${item.quantity}`, money(item.price * item.quantity)]),
+    ...order.discounts.map(discount => [discount.code, `-${money(discount.amount)}`]),
+    ...(order.shipping ? [[`Shipping (${order.shipping.label})`, money(order.shipping.amount)]] : []),
+    ...(order.tax ? [['Tax', money(order.tax.amount)]] : []),
+    ['Total', money(order.total)],
+  ];
+
+  return {
+    text: rows.map(([label, amount]) => `${label}: ${amount}`).join('\n'),
+    html: `<table cellpadding="4">${rows
+      .map(([label, amount]) => `<tr><td>${escapeHtml(label)}</td><td align="right">${escapeHtml(amount)}</td></tr>`)
+      .join('')}</table>`,
+  };
+}
+
+// wrap a body in the shared greeting/footer, with one call-to-action link
+function layout({ name, heading, paragraphs, items = null, link }) {
+  const text = [
+    `Hi ${name},`,
+    '',
+    ...paragraphs.flatMap(paragraph => [paragraph, '']),
+    ...(items ? [items.text, ''] : []),
+    `${link.label}: ${link.url}`,
+    '',
+    `- ${STORE_NAME}`,
+  ].join('\n');
+
+  const html = [
+    `<h2>${escapeHtml(heading)}</h2>`,
+    `<p>Hi ${escapeHtml(name)},</p>`,
+    ...paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+    items ? items.html : '',
+    `<p><a href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a></p>`,
+    `<p>- ${STORE_NAME}</p>`,
+  ].join('\n');
+
+  return { text, html };
+}
+
+function orderLayout(order, { heading, paragraphs, includeSummary = false }) {
+  return layout({
+    name: order.customer.name,
+    heading,
+    paragraphs,
+    items: includeSummary ? summary(order) : null,
+    link: { label: 'View your order', url: orderUrl(order) },
+  });
+}
+
+function orderConfirmation(order) {
+  return {
+    subject: `Order confirmed - ${order.orderId}`,
+    ...orderLayout(order, {
+      heading: 'Thanks for your order!',
+      paragraphs: [`We've received your payment for order ${order.orderId} and will let you know when it ships.`],
+      includeSummary: true,
+    }),
+  };
+}
+
+function orderShipped(order) {
+  const tracking = order.tracking && order.tracking.number
+    ? `Tracking: ${[order.tracking.carrier, order.tracking.number].filter(Boolean).join(' ')}`
+    : null;
+  return {
+    subject: `Your order has shipped - ${order.orderId}`,
+    ...orderLayout(order, {
+      heading: 'Your order is on its way',
+      paragraphs: [`Good news - order ${order.orderId} has shipped.`, ...(tracking ? [tracking] : [])],
+    }),
+  };
+}
+
+function orderCancelled(order) {
+  const refunded = order.payment && order.payment.status === 'refunded';
+  return {
+    subject: `Your order was cancelled - ${order.orderId}`,
+    ...orderLayout(order, {
+      heading: 'Your order was cancelled',
+      paragraphs: [
+        `Order ${order.orderId} has been cancelled.${order.cancelReason ? ` Reason: ${order.cancelReason}` : ''}`,
+        refunded
+          ? `You've been refunded ${formatMoney(order.total, order.currency)}. It can take a few days to show up.`
+          : "You haven't been charged.",
+      ],
+    }),
+  };
+}
+
+const ORDER_EMAILS = {
+  confirmation: orderConfirmation,
+  shipped: orderShipped,
+  cancelled: orderCancelled,
+};
+
+// reminder for an abandoned cart - `cart` is { name, items, subtotal, currency, restoreUrl }
+// where items are { name, options, quantity }
+function cartReminder(cart) {
+  const lines = cart.items.map(item => `${itemName(item)} x ${item.quantity}`);
+  return {
+    subject: 'You left something in your cart',
+    ...layout({
+      name: cart.name,
+      heading: 'Still thinking it over?',
+      paragraphs: [`Your cart is saved - ${formatMoney(cart.subtotal, cart.currency)} for:`],
+      items: {
+        text: lines.join('\n'),
+        html: `<ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`,
+      },
+      link: { label: 'Return to your cart', url: cart.restoreUrl },
+    }),
+  };
+}
+
+// link that brings a saved cart back (see GET /api/cart/restore/:token)
+function cartRestoreUrl(token) {
+  return `${storeUrl()}/cart/restore/${token}`;
+}
+
+module.exports = { ORDER_EMAILS, cartReminder, cartRestoreUrl };
@@ -0,0 +1,138 @@
+// --- Product Images ---
+// Photos uploaded through POST /api/products/:id/images are checked, kept as
+// sent, and resized into the sizes the storefront shows:
+//
+//   thumb  - 160px wide, cart and admin thumbnails
+//   grid   - 480px wide, product cards
+//   detail - 1200px wide, the product page
+//
+// Heights follow the aspect ratio and nothing is scaled up, so a small photo's
+// sizes can be smaller than these. Sizes are WebP with the metadata (camera,
+// GPS) stripped; the frontend picks one per screen with srcset.
+
+const multer = require('multer');
+const sharp = require('sharp');
+const { ApiError, badRequest } = require('../errors');
+
+const IMAGE_SIZES = [
+  { name: 'thumb', width: 160 },
+  { name: 'grid', width: 480 },
+  { name: 'detail', width: 1200 },
+];
+
+// the size product.image / product.images point at
+const MAIN_SIZE = 'detail';
+
+const MAX_IMAGE_BYTES = (Number(process.env.MAX_IMAGE_MB) || 5) * 1024 * 1024;
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000; // ~8000x5000, keeps resizing memory in check
+
+// formats we take, by sharp's name for them
+const IMAGE_FORMATS = {
+  jpeg: { ext: 'jpg', contentType: 'image/jpeg' },
+  png: { ext: 'png', contentType: 'image/png' },
+  webp: { ext: 'webp', contentType: 'image/webp' },
+};
+const ACCEPTED_TYPES = Object.values(IMAGE_FORMATS).map(format => format.contentType);
+
+const unsupported = () => new ApiError(415, 'UNSUPPORTED_MEDIA_TYPE', 'Upload a JPEG, PNG or WebP image.');
+const tooLarge = message => new ApiError(413, 'FILE_TOO_LARGE', message);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+  // a first check on what the browser says it is - processImage() looks at the bytes
+  fileFilter: (req, file, done) => done(ACCEPTED_TYPES.includes(file.mimetype) ? null : unsupported(), true),
+});
+
+// middleware: read a multipart/form-data body with one image, in the `image`
+// field, into req.file. Upload problems come out as ApiErrors like the rest
+function imageUpload(req, res, next) {
+  upload.single('image')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      next(err.code === 'LIMIT_FILE_SIZE'
+        ? tooLarge(`Images can be up to ${MAX_IMAGE_BYTES / 1024 / 1024} MB.`)
+        : badRequest(`${err.message}.`, [{ field: err.field || 'image', message: err.message }]));
+      return;
+    }
+    next(err);
+  });
+}
+
+// make sure `buffer` really is an image we take (not just named like one),
+// then make every size. Resolves to { original, sizes: [...] }, each with
+// { buffer, ext, contentType, width, height } and sizes with their name too
+async function processImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw unsupported();
+  }
+  const format = IMAGE_FORMATS[metadata.format];
+  if (!format) {
+    throw unsupported();
+  }
+  if (metadata.width * metadata.height > MAX_IMAGE_PIXELS) {
+    throw tooLarge(`Images can be up to ${MAX_IMAGE_PIXELS / 1000 / 1000} megapixels.`);
+  }
+
+  // one at a time - resizing a big photo takes a fair bit of memory
+  const sizes = [];
+  for (const { name, width } of IMAGE_SIZES) {
+    const { data, info } = await sharp(buffer)
+      .rotate() // upright, going by the camera's orientation tag
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    sizes.push({ name, buffer: data, ext: 'webp', contentType: 'image/webp', width: info.width, height: info.height });
+  }
+
+  // as it displays - sideways camera shots report their sensor's dimensions
+  const upright = metadata.autoOrient || metadata;
+  return { original: { buffer, ...format, width: upright.width, height: upright.height }, sizes };
+}
+
+// save processImage()'s files under `prefix` in `storage`. Resolves to the
+// photo product.photos keeps (see catalog/product.js). Nothing is left behind
+// if a save fails
+async function storeImage(storage, prefix, { original, sizes }) {
+  const files = [
+    { key: `${prefix}/original.${original.ext}`, ...original },
+    ...sizes.map(size => ({ key: `${prefix}/${size.name}.${size.ext}`, ...size })),
+  ];
+
+  const saved = [];
+  try {
+    for (const file of files) {
+      await storage.put(file.key, file.buffer, { contentType: file.contentType });
+      saved.push(file.key);
+    }
+  } catch (err) {
+    await Promise.allSettled(saved.map(key => storage.remove(key)));
+    throw err;
+  }
+
+  return {
+    original: {
+      url: storage.url(files[0].key),
+      width: original.width,
+      height: original.height,
+      contentType: original.contentType,
+      bytes: original.buffer.length,
+    },
+    sizes: sizes.map(({ name, width, height }, i) => ({ name, width, height, url: storage.url(files[i + 1].key) })),
+    files: saved,
+  };
+}
+
+// delete a photo's files
+async function removeImage(storage, photo) {
+  await Promise.all(photo.files.map(key => storage.remove(key)));
+}
+
+// the URL of one of a photo's sizes
+function photoUrl(photo, name = MAIN_SIZE) {
+  return photo.sizes.find(size => size.name === name).url;
+}
+
+module.exports = { IMAGE_SIZES, imageUpload, processImage, storeImage, removeImage, photoUrl };
@@ -0,0 +1,36 @@
+// --- Media Storage ---
+// Uploaded files (product photos, see images.js) are saved only through this
+// interface, so they can live somewhere other than this server's disk (S3,
+// GCS, ...) by adding a backend next to the local one. STORAGE_DRIVER picks it:
+//
+//   local - files under MEDIA_DIR (default backend/uploads), served by this
+//           app at /media. MEDIA_URL is the public address of that (default
+//           http://localhost:<PORT>/media). The default.
+//
+// A backend is an object with:
+//
+//   name                               - e.g. 'local'
+//   put(key, buffer, { contentType })  - save a file. key is a path such as
+//                                        "products/<id>/<photo>/grid.webp"
+//   remove(key)                        - delete it. Already gone is fine
+//   url(key)                           - where browsers fetch it from
+//   handler()                          - express middleware serving the files,
+//                                        or null when something else serves them
+
+const { createLocalStorage } = require('./localStorage');
+
+const STORAGE_FACTORIES = {
+  local: createLocalStorage,
+};
+
+// build the backend named by STORAGE_DRIVER (default: local)
+function createStorage(options = {}) {
+  const name = process.env.STORAGE_DRIVER || 'local';
+  const factory = STORAGE_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}". Available: ${Object.keys(STORAGE_FACTORIES).join(', ')}`);
+  }
+  return factory(options);
+}
+
+module.exports = { createStorage };
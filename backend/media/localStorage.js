@@ -0,0 +1,60 @@
+// --- Local Media Storage ---
+// Files on this server's disk, served by the app itself - see index.js for the interface.
+
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'uploads');
+
+// a file's key never gets reused (every upload gets new ones), so browsers
+// and proxies can keep them for good
+const CACHE_MAX_AGE = '365d';
+
+function createLocalStorage({
+  dir = process.env.MEDIA_DIR || DEFAULT_DIR,
+  baseUrl = process.env.MEDIA_URL || `http://localhost:${process.env.PORT || 5001}/media`,
+} = {}) {
+  const root = path.resolve(dir);
+  const publicUrl = baseUrl.replace(/\/+$/, '');
+
+  // keys come from our own code, but never let one reach outside the media dir
+  const fileFor = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Media key "${key}" is outside the media directory`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+
+    async remove(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+
+    url(key) {
+      return `${publicUrl}/${key}`;
+    },
+
+    handler() {
+      return express.static(root, {
+        maxAge: CACHE_MAX_AGE,
+        immutable: true,
+        index: false,
+        dotfiles: 'deny',
+        // uploads are served as what their extension says, never sniffed
+        setHeaders: res => res.set('X-Content-Type-Options', 'nosniff'),
+      });
+    },
+  };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,111 @@
+// --- Metrics ---
+// Counters, histograms and gauges, served at GET /metrics in the Prometheus
+// text format (https://prometheus.io/docs/instrumenting/exposition_formats/).
+// They live in memory, so they start from zero when the server restarts -
+// Prometheus copes with that.
+//
+//   const metrics = createMetrics();
+//   const orders = metrics.counter('orders_total', 'Orders placed.', ['status']);
+//   orders.inc({ status: 'paid' });
+//   metrics.gauge('sse_clients', 'Open event streams.', () => events.size);
+//   res.type(metrics.contentType).send(metrics.render());
+//
+// Label values should come from a short, fixed list (a route pattern, a
+// status) - every distinct combination is its own series.
+
+// seconds - from a quick cache hit to a slow checkout
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+// {method="GET",route="/api/cart"} - or nothing, with no labels
+function labelText(names, values, extra = []) {
+  const pairs = names.map((name, i) => [name, values[i]]).concat(extra);
+  if (pairs.length === 0) return '';
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function createMetrics() {
+  const registered = new Map(); // name -> { render() }
+
+  const register = (name, metric) => {
+    if (registered.has(name)) throw new Error(`Metric ${name} is already registered.`);
+    registered.set(name, metric);
+    return metric;
+  };
+
+  // label values in labelNames order, as a Map key
+  const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+
+  const metrics = {
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+
+    // a number that only goes up
+    counter(name, help, labelNames = []) {
+      const series = new Map();
+      return register(name, {
+        inc(labels = {}, value = 1) {
+          const key = seriesKey(labelNames, labels);
+          series.set(key, (series.get(key) || 0) + value);
+        },
+        render() {
+          const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+          series.forEach((value, key) => lines.push(`${name}${labelText(labelNames, JSON.parse(key))} ${value}`));
+          return lines;
+        },
+      });
+    },
+
+    // how observations (e.g. durations) spread across `buckets`
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const series = new Map(); // key -> { counts per bucket, sum, count }
+      return register(name, {
+        observe(labels, value) {
+          const key = seriesKey(labelNames, labels);
+          if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+          const entry = series.get(key);
+          const bucket = buckets.findIndex(bound => value <= bound);
+          if (bucket !== -1) entry.counts[bucket] += 1;
+          entry.sum += value;
+          entry.count += 1;
+        },
+        render() {
+          const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+          series.forEach(({ counts, sum, count }, key) => {
+            const values = JSON.parse(key);
+            let cumulative = 0;
+            buckets.forEach((bound, i) => {
+              cumulative += counts[i];
+              lines.push(`${name}_bucket${labelText(labelNames, values, [['le', bound]])} ${cumulative}`);
+            });
+            lines.push(`${name}_bucket${labelText(labelNames, values, [['le', '+Inf']])} ${count}`);
+            lines.push(`${name}_sum${labelText(labelNames, values)} ${sum}`);
+            lines.push(`${name}_count${labelText(labelNames, values)} ${count}`);
+          });
+          return lines;
+        },
+      });
+    },
+
+    // a current value, read from `collect()` at scrape time
+    gauge(name, help, collect) {
+      return register(name, {
+        render: () => [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${collect()}`],
+      });
+    },
+
+    // everything, in the exposition format
+    render() {
+      return `${[...registered.values()].flatMap(metric => metric.render()).join('\n')}\n`;
+    },
+  };
+
+  // the basics about the process itself
+  metrics.gauge('process_uptime_seconds', 'Seconds since the server started.', () => process.uptime());
+  metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes.', () => process.memoryUsage().rss);
+  metrics.gauge('nodejs_heap_used_bytes', 'V8 heap in use, in bytes.', () => process.memoryUsage().heapUsed);
+
+  return metrics;
+}
+
+module.exports = { createMetrics };
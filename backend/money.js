@@ -0,0 +1,53 @@
+// --- Money ---
+// Every amount in the app is an integer in minor units (cents for USD),
+// never a float. Convert at the edges only: input, display, migrations.
+
+const STORE_CURRENCY = 'USD';
+
+// how many decimal places a currency has (2 for USD, 0 for JPY, ...)
+function minorUnitDigits(currency = STORE_CURRENCY) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency })
+    .resolvedOptions().maximumFractionDigits;
+}
+
+// 12.99 -> 1299
+function toMinorUnits(amount, currency = STORE_CURRENCY) {
+  return Math.round(amount * (10 ** minorUnitDigits(currency)));
+}
+
+// 1299 -> 12.99 (for display/export only, don't do maths on the result)
+function fromMinorUnits(minor, currency = STORE_CURRENCY) {
+  return minor / (10 ** minorUnitDigits(currency));
+}
+
+// 1299 -> "12.99", for plain-text exports like CSV
+function toAmountString(minor, currency = STORE_CURRENCY) {
+  return fromMinorUnits(minor, currency).toFixed(minorUnitDigits(currency));
+}
+
+// "12.99" -> 1299, read from the digits so no float rounding creeps in.
+// null if it isn't a plain amount with at most the currency's decimal places
+function parseAmount(text, currency = STORE_CURRENCY) {
+  const digits = minorUnitDigits(currency);
+  const match = /^(\d+)(?:\.(\d*))?$/.exec(String(text).trim());
+  if (!match || (match[2] || '').length > digits) return null;
+  return Number(match[1] + (match[2] || '').padEnd(digits, '0'));
+}
+
+// 1299 -> "$12.99"
+function formatMoney(minor, currency = STORE_CURRENCY) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency })
+    .format(fromMinorUnits(minor, currency));
+}
+
+const isMinorUnits = v => Number.isInteger(v) && v >= 0;
+
+module.exports = {
+  STORE_CURRENCY,
+  toMinorUnits,
+  fromMinorUnits,
+  toAmountString,
+  parseAmount,
+  formatMoney,
+  isMinorUnits,
+};
@@ -0,0 +1,49 @@
+// --- Order Lifecycle ---
+// Where an order can go from each status:
+//
+//   pending_payment -> paid -> shipped -> delivered
+//          |            |  \
+//          v            v   -> refunded
+//        failed     cancelled
+//
+// 'placed' is for orders from before payments existed and moves on like 'paid'.
+// Payment results (paid/failed) come from the provider; admins move orders
+// along the rest of the way.
+
+const ORDER_STATUSES = ['placed', 'pending_payment', 'paid', 'failed', 'shipped', 'delivered', 'cancelled', 'refunded'];
+
+const ORDER_TRANSITIONS = {
+  pending_payment: ['paid', 'failed', 'cancelled'],
+  placed: ['shipped', 'cancelled'],
+  paid: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered'],
+  delivered: [],
+  failed: [],
+  cancelled: [],
+  refunded: [],
+};
+
+// what the admin "advance order" endpoint accepts
+const ADMIN_ORDER_STATUSES = ['shipped', 'delivered', 'cancelled'];
+
+// orders that count as sales - paid for, and not since cancelled or refunded
+const SALE_STATUSES = ['placed', 'paid', 'shipped', 'delivered'];
+
+function canTransition(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+// every status an order can reach `to` from - for findOneAndUpdate filters,
+// so two admins (or an admin and a webhook) can't both move the same order
+function statusesLeadingTo(to) {
+  return Object.keys(ORDER_TRANSITIONS).filter(from => canTransition(from, to));
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  ADMIN_ORDER_STATUSES,
+  SALE_STATUSES,
+  canTransition,
+  statusesLeadingTo,
+};
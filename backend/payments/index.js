@@ -0,0 +1,37 @@
+// --- Payment Providers ---
+// Checkout talks to payments only through this interface, so a real gateway
+// (Stripe etc.) can be dropped in next to the mock one. A provider is an
+// object with:
+//
+//   name                                   - e.g. 'mock'
+//   createIntent({ amount, currency, metadata })
+//       -> { id, status }                  amount in minor units
+//   confirmIntent(intentId, { paymentMethod })
+//       -> { id, status, failureReason }   status: 'succeeded' | 'failed' | 'processing'
+//   refund(intentId, { amount })
+//       -> { id, status }                  status: 'succeeded' | 'failed'
+//   parseWebhook(rawBody, headers)
+//       -> { type, intentId, failureReason } type: 'payment.succeeded' | 'payment.failed'
+//                                          throws if the signature doesn't check out
+//   publicConfig()
+//       -> what the frontend needs to render a payment step
+//
+// 'processing' means the result arrives later through the provider's webhook.
+
+const { createMockProvider } = require('./mockProvider');
+
+const PROVIDER_FACTORIES = {
+  mock: createMockProvider,
+};
+
+// build the provider named by PAYMENT_PROVIDER (default: mock)
+function createPaymentProvider(options = {}) {
+  const name = process.env.PAYMENT_PROVIDER || 'mock';
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${name}". Available: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+  }
+  return factory(options);
+}
+
+module.exports = { createPaymentProvider };
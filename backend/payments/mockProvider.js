@@ -0,0 +1,120 @@
+// --- Mock Payment Provider ---
+// A local stand-in for a real gateway. The payment method picks the outcome:
+//   mock_success - confirms straight away
+//   mock_decline - fails straight away
+//   mock_async   - goes to 'processing', then a signed webhook is POSTed to
+//                  our own webhook endpoint after MOCK_PAYMENT_DELAY_MS
+// Intents live in memory, so they're gone on restart.
+
+const crypto = require('crypto');
+const { logger } = require('../logger');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+const TEST_PAYMENT_METHODS = [
+  { id: 'mock_success', label: 'Test card - succeeds' },
+  { id: 'mock_decline', label: 'Test card - declined' },
+  { id: 'mock_async', label: 'Test card - delayed confirmation' },
+];
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function createMockProvider({
+  webhookUrl,
+  webhookSecret = process.env.MOCK_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex'),
+  asyncDelayMs = Number(process.env.MOCK_PAYMENT_DELAY_MS) || 3000,
+} = {}) {
+  const intents = new Map();
+
+  const getIntent = (intentId) => {
+    const intent = intents.get(intentId);
+    if (!intent) throw new Error(`No such payment intent: ${intentId}`);
+    return intent;
+  };
+
+  // fire the webhook like a real gateway would, from "outside"
+  const sendWebhook = async (event) => {
+    const body = JSON.stringify(event);
+    try {
+      await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: sign(body, webhookSecret) },
+        body
+      });
+    } catch (err) {
+      logger.error('Mock payment webhook failed.', { intentId: event.intentId, err });
+    }
+  };
+
+  return {
+    name: 'mock',
+
+    async createIntent({ amount, currency, metadata = {} }) {
+      const intent = {
+        id: `mock_pi_${crypto.randomUUID()}`,
+        amount,
+        currency,
+        metadata,
+        status: 'requires_confirmation',
+        refunded: 0
+      };
+      intents.set(intent.id, intent);
+      return { id: intent.id, status: intent.status };
+    },
+
+    async confirmIntent(intentId, { paymentMethod }) {
+      const intent = getIntent(intentId);
+
+      switch (paymentMethod) {
+        case 'mock_success':
+          intent.status = 'succeeded';
+          return { id: intent.id, status: 'succeeded' };
+
+        case 'mock_async':
+          intent.status = 'processing';
+          setTimeout(() => {
+            intent.status = 'succeeded';
+            sendWebhook({ type: 'payment.succeeded', intentId: intent.id });
+          }, asyncDelayMs).unref();
+          return { id: intent.id, status: 'processing' };
+
+        case 'mock_decline':
+        default:
+          intent.status = 'failed';
+          return {
+            id: intent.id,
+            status: 'failed',
+            failureReason: paymentMethod === 'mock_decline' ? 'Your card was declined.' : 'Unknown payment method.'
+          };
+      }
+    },
+
+    async refund(intentId, { amount } = {}) {
+      const intent = getIntent(intentId);
+      const refundAmount = amount ?? (intent.amount - intent.refunded);
+      if (intent.status !== 'succeeded' || refundAmount <= 0 || intent.refunded + refundAmount > intent.amount) {
+        return { id: `mock_re_${crypto.randomUUID()}`, status: 'failed' };
+      }
+      intent.refunded += refundAmount;
+      return { id: `mock_re_${crypto.randomUUID()}`, status: 'succeeded' };
+    },
+
+    parseWebhook(rawBody, headers) {
+      const expected = Buffer.from(sign(rawBody, webhookSecret));
+      const given = Buffer.from(headers[SIGNATURE_HEADER] || '');
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw new Error('Invalid webhook signature.');
+      }
+      const event = JSON.parse(rawBody.toString('utf8'));
+      return { type: event.type, intentId: event.intentId, failureReason: event.failureReason };
+    },
+
+    publicConfig() {
+      return { provider: 'mock', paymentMethods: TEST_PAYMENT_METHODS };
+    },
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,90 @@
+// --- Pricing ---
+// The one place a cart total gets worked out. /api/cart, /api/checkout/quote
+// and /api/checkout all go through priceCart() so what the shopper sees is
+// what they pay. All amounts are integer minor units (see money.js).
+
+const { STORE_CURRENCY } = require('./money');
+const { describeCoupon, evaluateCoupon } = require('./promotions');
+const { SHIPPING_METHODS, taxRateFor, shippingCost, shippingOptions } = require('./rates');
+const { resolveVariant } = require('./variants');
+
+// cart items (with `product` populated) -> plain pricing lines.
+// lines that can't be bought (product deleted, variant gone) are left out
+function toPricingLines(cartItems) {
+  return cartItems.flatMap((item) => {
+    const unit = item.product && resolveVariant(item.product, item.variant);
+    if (!unit) return [];
+    return [{
+      productId: item.product._id,
+      variantId: unit.variant ? unit.variant._id : null,
+      name: item.product.name,
+      price: unit.price, // variant price, if it overrides the product's
+      weight: item.product.weight || 0, // grams per unit
+      quantity: item.quantity
+    }];
+  });
+}
+
+// subtotal, coupon discount, shipping, tax and final total for a set of lines.
+// `coupon` is the Coupon doc applied to the cart, or null.
+// Shipping and tax need an `address` - without one they're null (cart view)
+// and `total` is just the discounted merchandise.
+function priceCart(lines, coupon = null, { address = null, shippingMethod = null, now = new Date() } = {}) {
+  const subtotal = lines.reduce((acc, line) => acc + (line.price * line.quantity), 0);
+
+  let couponSummary = null;
+  let discounts = [];
+  if (coupon) {
+    const result = evaluateCoupon(coupon, lines, { now });
+    discounts = result.discounts;
+    couponSummary = {
+      id: coupon._id,
+      code: coupon.code,
+      description: describeCoupon(coupon),
+      applied: result.applied,
+      message: result.reason
+    };
+  }
+
+  const discountTotal = discounts.reduce((acc, line) => acc + line.amount, 0);
+  const merchandiseTotal = Math.max(subtotal - discountTotal, 0);
+
+  let shipping = null;
+  let tax = null;
+  if (address) {
+    const weight = lines.reduce((acc, line) => acc + (line.weight * line.quantity), 0);
+    shipping = {
+      method: shippingMethod,
+      label: SHIPPING_METHODS[shippingMethod].label,
+      amount: shippingCost(shippingMethod, { merchandiseTotal, weight })
+    };
+
+    // tax on the discounted merchandise, not on shipping
+    const { rate, jurisdiction } = taxRateFor(address);
+    tax = { rate, jurisdiction, amount: Math.round(merchandiseTotal * rate) };
+  }
+
+  return {
+    currency: STORE_CURRENCY,
+    subtotal,
+    discounts,
+    discountTotal,
+    shipping,
+    tax,
+    total: merchandiseTotal + (shipping ? shipping.amount : 0) + (tax ? tax.amount : 0),
+    coupon: couponSummary
+  };
+}
+
+// the shipping picker: every method priced for these lines
+function priceShippingOptions(lines, coupon = null, { now = new Date() } = {}) {
+  const { subtotal, discountTotal } = priceCart(lines, coupon, { now });
+  const weight = lines.reduce((acc, line) => acc + (line.weight * line.quantity), 0);
+  return shippingOptions({ merchandiseTotal: Math.max(subtotal - discountTotal, 0), weight });
+}
+
+module.exports = {
+  toPricingLines,
+  priceCart,
+  priceShippingOptions,
+};
@@ -0,0 +1,104 @@
+// --- Promotions Engine ---
+// Works out what a coupon takes off a cart. Pure functions, no DB access -
+// pricing.js passes the coupon + cart lines in.
+//
+// lines look like: { productId, name, price, quantity } with price in minor units
+
+const { formatMoney } = require('./money');
+
+const COUPON_TYPES = ['percentage', 'fixed', 'buy_x_get_y'];
+
+// human readable summary, shown next to the discount line
+function describeCoupon(coupon) {
+  if (coupon.description) return coupon.description;
+  switch (coupon.type) {
+    case 'percentage':
+      return `${coupon.value}% off`;
+    case 'fixed':
+      return `${formatMoney(coupon.value)} off`;
+    case 'buy_x_get_y':
+      return `Buy ${coupon.buyQuantity}, get ${coupon.getQuantity} free`;
+    default:
+      return coupon.code;
+  }
+}
+
+// can this coupon be used at all right now? returns a reason string if not
+function checkCouponUsable(coupon, { subtotal, now = new Date() }) {
+  if (!coupon.active) {
+    return 'This code is no longer active.';
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    return 'This code has expired.';
+  }
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    return 'This code has reached its usage limit.';
+  }
+  if (subtotal < (coupon.minSubtotal || 0)) {
+    return `Spend at least ${formatMoney(coupon.minSubtotal)} to use this code.`;
+  }
+  return null;
+}
+
+// buy X get Y free, counted per line: every X+Y units of a product, Y are free
+function buyXGetYAmount(coupon, lines) {
+  const eligibleIds = (coupon.products || []).map(id => id.toString());
+  const groupSize = coupon.buyQuantity + coupon.getQuantity;
+
+  return lines.reduce((acc, line) => {
+    if (eligibleIds.length > 0 && !eligibleIds.includes(line.productId.toString())) {
+      return acc;
+    }
+    const freeUnits = Math.floor(line.quantity / groupSize) * coupon.getQuantity;
+    return acc + (freeUnits * line.price);
+  }, 0);
+}
+
+// work out the discount a coupon gives on these lines.
+// returns { applied, reason, discounts: [{ code, description, amount }] }
+function evaluateCoupon(coupon, lines, { now = new Date() } = {}) {
+  const subtotal = lines.reduce((acc, line) => acc + (line.price * line.quantity), 0);
+
+  const reason = checkCouponUsable(coupon, { subtotal, now });
+  if (reason) {
+    return { applied: false, reason, discounts: [] };
+  }
+
+  let amount = 0;
+  switch (coupon.type) {
+    case 'percentage':
+      // round to the nearest cent
+      amount = Math.round(subtotal * (coupon.value / 100));
+      break;
+    case 'fixed':
+      amount = coupon.value;
+      break;
+    case 'buy_x_get_y':
+      amount = buyXGetYAmount(coupon, lines);
+      if (amount === 0) {
+        return {
+          applied: false,
+          reason: `Add ${coupon.buyQuantity + coupon.getQuantity} of a qualifying item to get ${coupon.getQuantity} free.`,
+          discounts: []
+        };
+      }
+      break;
+    default:
+      return { applied: false, reason: 'Unknown promotion type.', discounts: [] };
+  }
+
+  // never discount below zero
+  amount = Math.min(amount, subtotal);
+
+  return {
+    applied: true,
+    reason: null,
+    discounts: [{ code: coupon.code, description: describeCoupon(coupon), amount }]
+  };
+}
+
+module.exports = {
+  COUPON_TYPES,
+  describeCoupon,
+  evaluateCoupon,
+};
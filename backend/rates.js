@@ -0,0 +1,87 @@
+// --- Tax & Shipping Rates ---
+// Config tables for checkout. pricing.js uses these to price an address.
+// All money is integer minor units (cents), weights are grams.
+
+const fs = require('fs');
+
+// tax rate by "COUNTRY-REGION", falling back to "COUNTRY" (ISO codes).
+// Swap the whole table with TAX_RATES_FILE=/path/to/rates.json
+const DEFAULT_TAX_RATES = {
+  US: 0,
+  'US-CA': 0.0725,
+  'US-NY': 0.04,
+  'US-TX': 0.0625,
+  'US-WA': 0.065,
+  CA: 0.05,
+  'CA-BC': 0.12,
+  'CA-ON': 0.13,
+  'CA-QC': 0.14975,
+  GB: 0.20,
+  DE: 0.19,
+  FR: 0.20,
+  IN: 0.18,
+  AU: 0.10,
+};
+
+function loadTaxRates() {
+  const file = process.env.TAX_RATES_FILE;
+  if (!file) return DEFAULT_TAX_RATES;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+const TAX_RATES = loadTaxRates();
+
+// { rate, jurisdiction } for an address. Unknown places aren't taxed.
+function taxRateFor(address) {
+  const country = address.country.toUpperCase();
+  const region = address.region ? `${country}-${address.region.toUpperCase()}` : null;
+
+  if (region && TAX_RATES[region] !== undefined) {
+    return { rate: TAX_RATES[region], jurisdiction: region };
+  }
+  if (TAX_RATES[country] !== undefined) {
+    return { rate: TAX_RATES[country], jurisdiction: country };
+  }
+  return { rate: 0, jurisdiction: country };
+}
+
+// shipping methods the checkout offers
+//   flat   - `amount` per order, free once the order reaches `freeOver` (if set)
+//   weight - `base` plus `perKg` for every started kilogram
+const SHIPPING_METHODS = {
+  economy: { label: 'Economy (7-10 days)', type: 'flat', amount: 499 },
+  standard: { label: 'Standard (3-5 days)', type: 'flat', amount: 799, freeOver: 5000 },
+  express: { label: 'Express (1-2 days)', type: 'weight', base: 1299, perKg: 300 },
+};
+const DEFAULT_SHIPPING_METHOD = 'standard';
+
+// cost of a method for an order. `merchandiseTotal` is after discounts
+function shippingCost(methodId, { merchandiseTotal, weight }) {
+  const method = SHIPPING_METHODS[methodId];
+  switch (method.type) {
+    case 'flat':
+      return method.freeOver != null && merchandiseTotal >= method.freeOver ? 0 : method.amount;
+    case 'weight':
+      return method.base + (method.perKg * Math.ceil(weight / 1000));
+    default:
+      throw new Error(`Unknown shipping method type: ${method.type}`);
+  }
+}
+
+// every method with its price for this order, for the checkout picker
+function shippingOptions(order) {
+  return Object.entries(SHIPPING_METHODS).map(([id, method]) => ({
+    id,
+    label: method.label,
+    amount: shippingCost(id, order),
+    freeOver: method.freeOver
+  }));
+}
+
+module.exports = {
+  SHIPPING_METHODS,
+  DEFAULT_SHIPPING_METHOD,
+  taxRateFor,
+  shippingCost,
+  shippingOptions,
+};
@@ -0,0 +1,71 @@
+// --- Request Tracking ---
+// The first middleware. Every request gets an id - the caller's X-Request-Id
+// if it sent a sensible one, a new one otherwise - that goes back in the
+// X-Request-Id response header and in error bodies (see errors.js). req.log
+// is a logger that tags each line with it, so a failed call in the browser can
+// be found in the server logs.
+//
+// Once the response is done it logs one line (method, route, status, time
+// taken) and counts the request in the http_* metrics. Those are labelled with
+// the route pattern (/api/products/:id), not the URL, so ids in paths don't
+// turn into endless series. Event streams (GET /api/events) stay open for as
+// long as the page does, so they're counted but kept out of the latency
+// histogram.
+
+const crypto = require('crypto');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const isEventStream = res => String(res.getHeader('Content-Type') || '').startsWith('text/event-stream');
+
+// /api/products/:id for a matched route, /media for static files,
+// 'unmatched' for everything else (404s - any path at all)
+function routeOf(req) {
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  return req.baseUrl || 'unmatched';
+}
+
+function requestTracking({ logger, metrics, quietPaths = [] }) {
+  const requests = metrics.counter('http_requests_total', 'HTTP requests handled.', ['method', 'route', 'status']);
+  const durations = metrics.histogram('http_request_duration_seconds', 'Time taken to respond, in seconds.', ['method', 'route']);
+
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    const start = process.hrtime.bigint();
+    const path = req.originalUrl.split('?')[0];
+    let logged = false;
+
+    // 'finish' once the response is sent; 'close' alone means the client went
+    // away first (or an event stream ended)
+    const done = () => {
+      if (logged) return;
+      logged = true;
+
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      const route = routeOf(req);
+      const status = res.statusCode;
+      requests.inc({ method: req.method, route, status });
+      if (!isEventStream(res)) durations.observe({ method: req.method, route }, seconds);
+
+      const level = quietPaths.includes(path) ? 'debug' : status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+      req.log[level]('request', {
+        method: req.method,
+        route,
+        path,
+        status,
+        durationMs: Math.round(seconds * 10000) / 10,
+        aborted: res.writableFinished ? undefined : true,
+      });
+    };
+    res.on('finish', done);
+    res.on('close', done);
+    next();
+  };
+}
+
+module.exports = { requestTracking, REQUEST_ID_HEADER };
@@ -0,0 +1,66 @@
+// --- Scheduler ---
+// Runs background jobs on an interval inside the API process. A job never
+// overlaps itself (the next run is only scheduled once the last one is done),
+// and a failing run is logged and retried next time rather than crashing the server.
+//
+//   const scheduler = createScheduler();
+//   scheduler.every('cart-reminders', 15 * 60 * 1000, sendCartReminders);
+//   scheduler.start();
+//
+// A job's return value is kept as its lastResult, for the admin stats endpoint.
+
+const { logger } = require('./logger');
+
+function createScheduler() {
+  const jobs = new Map();
+  let started = false;
+
+  const schedule = (job) => {
+    job.timer = setTimeout(() => run(job), job.intervalMs);
+    job.timer.unref(); // don't keep the process alive just for jobs
+  };
+
+  const run = async (job) => {
+    job.running = true;
+    job.lastRunAt = new Date();
+    try {
+      job.lastResult = await job.fn(job.lastRunAt);
+      job.lastError = null;
+    } catch (err) {
+      job.lastError = err.message;
+      logger.error('Job failed.', { job: job.name, err });
+    } finally {
+      job.running = false;
+      if (started) schedule(job);
+    }
+  };
+
+  return {
+    // register `fn(now)` to run every `intervalMs`
+    every(name, intervalMs, fn) {
+      if (jobs.has(name)) throw new Error(`Job ${name} is already scheduled.`);
+      const job = { name, intervalMs, fn, timer: null, running: false, lastRunAt: null, lastResult: null, lastError: null };
+      jobs.set(name, job);
+      if (started) schedule(job);
+    },
+
+    start() {
+      if (started) return;
+      started = true;
+      jobs.forEach(schedule);
+    },
+
+    stop() {
+      started = false;
+      jobs.forEach(job => clearTimeout(job.timer));
+    },
+
+    status() {
+      return [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastResult, lastError }) => ({
+        name, intervalMs, running, lastRunAt, lastResult, lastError
+      }));
+    },
+  };
+}
+
+module.exports = { createScheduler };
@@ -0,0 +1,61 @@
+// --- Catalog import ---
+// POST /api/admin/products/import from the command line - creates/updates
+// products from a CSV or JSON file, matched on SKU (see catalog/index.js).
+// The format comes from the file extension.
+//
+//   npm run catalog:import products.csv
+//   npm run catalog:import products.csv -- --dry-run   (check it, save nothing)
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { importCatalog } = require('../catalog');
+
+function printErrors(errors) {
+  for (const { row, sku, field, message } of errors) {
+    console.error(`  row ${row}${sku ? ` (${sku})` : ''}: ${field ? `${field} - ` : ''}${message}`);
+  }
+}
+
+async function run(file, { dryRun }) {
+  const format = path.extname(file).slice(1).toLowerCase();
+  if (!['csv', 'json'].includes(format)) {
+    throw new Error(`Expected a .csv or .json file, got ${file}`);
+  }
+
+  const report = await importCatalog(fs.readFileSync(file, 'utf8'), { format, dryRun });
+  if (dryRun) {
+    console.log(`Dry run: would create ${report.created} and update ${report.updated} of ${report.total} products.`);
+    if (report.errors.length > 0) {
+      console.error(`${report.errors.length} problem(s) - fix these before importing:`);
+      printErrors(report.errors);
+      process.exitCode = 1;
+    }
+    return;
+  }
+  console.log(`Imported ${report.total} products: ${report.created} created, ${report.updated} updated.`);
+}
+
+// run standalone: node scripts/catalog-import.js <file> [--dry-run]
+if (require.main === module) {
+  require('dotenv').config();
+
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+  if (!file) {
+    console.error('Usage: npm run catalog:import <file.csv|file.json> [-- --dry-run]');
+    process.exit(1);
+  }
+
+  mongoose.connect(process.env.MONGO_URI)
+    .then(() => run(file, { dryRun: args.includes('--dry-run') }))
+    .catch((err) => {
+      // VALIDATION_ERROR from importCatalog lists the bad rows
+      console.error('Import failed:', err.message);
+      if (Array.isArray(err.details)) printErrors(err.details);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { run };
@@ -0,0 +1,82 @@
+// --- Migration: prices to integer cents ---
+// Products, coupons and orders used to store money as float dollars (12.99).
+// This converts them to integer minor units (1299) and stamps a `currency`.
+// Docs that already have a `currency` are skipped, so it's safe to re-run.
+//
+// Runs automatically on server start. To run it by hand:
+//   npm run migrate:prices
+
+const mongoose = require('mongoose');
+const { STORE_CURRENCY } = require('../money');
+
+// $round(x * 100) as an aggregation expression
+const toCents = (field) => ({ $round: [{ $multiply: [field, 100] }, 0] });
+
+const legacy = { currency: { $exists: false } };
+
+async function migratePricesToCents(db = mongoose.connection.db) {
+  const products = await db.collection('products').updateMany(legacy, [
+    { $set: { price: toCents('$price'), currency: STORE_CURRENCY } }
+  ]);
+
+  // only fixed-amount coupons hold money in `value`, percentages stay as-is
+  const coupons = await db.collection('coupons').updateMany(legacy, [
+    {
+      $set: {
+        value: { $cond: [{ $eq: ['$type', 'fixed'] }, toCents('$value'), '$value'] },
+        minSubtotal: toCents({ $ifNull: ['$minSubtotal', 0] }),
+        currency: STORE_CURRENCY
+      }
+    }
+  ]);
+
+  const orders = await db.collection('orders').updateMany(legacy, [
+    {
+      $set: {
+        items: {
+          $map: {
+            input: '$items',
+            as: 'item',
+            in: { $mergeObjects: ['$$item', { price: toCents('$$item.price') }] }
+          }
+        },
+        discounts: {
+          $map: {
+            input: { $ifNull: ['$discounts', []] },
+            as: 'discount',
+            in: { $mergeObjects: ['$$discount', { amount: toCents('$$discount.amount') }] }
+          }
+        },
+        // orders from before discounts existed have no subtotal
+        subtotal: toCents({ $ifNull: ['$subtotal', '$total'] }),
+        discountTotal: toCents({ $ifNull: ['$discountTotal', 0] }),
+        total: toCents('$total'),
+        currency: STORE_CURRENCY
+      }
+    }
+  ]);
+
+  return {
+    products: products.modifiedCount,
+    coupons: coupons.modifiedCount,
+    orders: orders.modifiedCount,
+  };
+}
+
+// run standalone: node scripts/migrate-prices-to-cents.js
+if (require.main === module) {
+  require('dotenv').config();
+
+  mongoose.connect(process.env.MONGO_URI)
+    .then(() => migratePricesToCents())
+    .then((counts) => {
+      console.log('Migrated to cents:', counts);
+    })
+    .catch((err) => {
+      console.error('Migration failed:', err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { migratePricesToCents };
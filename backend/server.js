@@ -1,214 +1,2637 @@
+// pull in env variables first - some modules read them as they load
+require('dotenv').config();
+
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { STORE_CURRENCY } = require('./money');
+const { COUPON_TYPES, evaluateCoupon } = require('./promotions');
+const { toPricingLines, priceCart, priceShippingOptions } = require('./pricing');
+const { migratePricesToCents } = require('./scripts/migrate-prices-to-cents');
+const { createPaymentProvider } = require('./payments');
+const { createMailer } = require('./mail');
+const { ORDER_EMAILS, cartReminder, cartRestoreUrl } = require('./mail/templates');
+const { createScheduler } = require('./scheduler');
+const { createEventStream } = require('./events');
+const { createAnalytics } = require('./analytics');
+const { logger } = require('./logger');
+const { createMetrics } = require('./metrics');
+const { requestTracking, REQUEST_ID_HEADER } = require('./requestTracking');
+const { createStorage } = require('./media');
+const { imageUpload, processImage, storeImage, removeImage, photoUrl } = require('./media/images');
+const { Product } = require('./catalog/product');
+const { Category } = require('./catalog/category');
+const { importCatalog, exportCatalog } = require('./catalog');
+const { ORDER_STATUSES, ORDER_TRANSITIONS, SALE_STATUSES, canTransition, statusesLeadingTo } = require('./orders');
+const { VARIANT_OPTIONS, resolveVariant } = require('./variants');
+const { validate, schemas } = require('./validation');
+const { ApiError, badRequest, unauthorized, notFound, conflict, errorHandler, notFoundHandler } = require('./errors');
+const { loadConfig, ConfigError } = require('./config');
 
-// pull in env variables
-require('dotenv').config();
+// --- Config ---
+// see config.js - a bad .env stops us here with a list of what to fix
+let config;
+try {
+  config = loadConfig();
+} catch (err) {
+  if (!(err instanceof ConfigError)) throw err;
+  logger.error('Invalid configuration. Fix these in .env and start again.', { problems: err.problems });
+  process.exit(1);
+}
 
 // Setup express
 const app = express();
-const PORT = process.env.PORT || 5001; // Use port 5001 for backend
+const PORT = config.port;
+let shuttingDown = false; // see Shutdown, at the bottom
+
+// --- Observability ---
+// JSON logs (logger.js), a request id on every request and a log line per
+// response (requestTracking.js), and Prometheus metrics at GET /metrics (metrics.js)
+const metrics = createMetrics();
+// scrapes and health probes only log at debug
+app.use(requestTracking({ logger, metrics, quietPaths: ['/metrics', '/healthz', '/readyz'] }));
+
+// business numbers, next to the http_* ones requestTracking records
+const cartAdds = metrics.counter('cart_adds_total', 'Products added to carts (successful add-to-cart requests).');
+const cartAddedUnits = metrics.counter('cart_added_units_total', 'Units added to carts.');
+const checkouts = metrics.counter('checkouts_total', 'Checkouts by outcome: paid, processing (waiting on the payment webhook), declined or error.', ['outcome']);
+const ordersPaid = metrics.counter('orders_paid_total', 'Orders paid for.', ['currency']);
+const checkoutRevenue = metrics.counter('checkout_revenue_minor_total', 'Totals of paid orders, in minor units (cents).', ['currency']);
 
 // Middleware
-app.use(cors()); // Enable CORS for frontend
-app.use(express.json()); // allow json request bodies
+// CORS for the storefront - only the origins in CORS_ORIGINS (default: STORE_URL's).
+// It may read the cart token and request id
+app.use(cors({
+  origin: config.corsOrigins.includes('*') ? '*' : config.corsOrigins,
+  exposedHeaders: ['X-Cart-Token', REQUEST_ID_HEADER],
+}));
+// while shutting down, tell keep-alive clients not to reuse the connection
+app.use((req, res, next) => {
+  if (shuttingDown) res.set('Connection', 'close');
+  next();
+});
+// catalog imports are whole CSV/JSON files - read them as text, with more room
+// than other requests get (see POST /api/admin/products/import)
+const CATALOG_IMPORT_PATH = '/api/admin/products/import';
+app.use(CATALOG_IMPORT_PATH, express.text({ type: ['text/csv', 'text/plain', 'application/json'], limit: '5mb' }));
+// allow json request bodies (keep the raw bytes too, payment webhooks sign them)
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+
+// --- Payments ---
+// see payments/index.js. The mock provider posts its async webhooks back to us.
+const paymentProvider = createPaymentProvider({
+  webhookUrl: config.paymentWebhookUrl
+});
+
+// --- Mail ---
+// see mail/index.js. Set SMTP_HOST (e.g. a local catcher on port 1025) to really send
+const mailer = createMailer();
+logger.info(`Sending order emails via ${mailer.name}.`);
+
+// where uploaded product photos are kept (see media/index.js). With local
+// storage this app serves them too, at /media
+const storage = createStorage();
+const mediaHandler = storage.handler();
+if (mediaHandler) {
+  app.use('/media', mediaHandler);
+}
 
 // --- MongoDB Connection ---
-// DB connection string. Falls back to local if .env is missing.
-const MONGO_URI = process.env.MONGO_URI
+// Tried until it works, backing off up to DB_RETRY_MAX_MS between attempts -
+// the server is up meanwhile, with /readyz saying it isn't ready. Once
+// connected, mongoose reconnects by itself after a blip.
+const DB_RETRY_MIN_MS = 1000;
+const DB_RETRY_MAX_MS = 30000;
+const DB_CONNECT_TIMEOUT_MS = 10000; // per attempt (and per query waiting for a server)
 
-mongoose.connect(MONGO_URI)
-  .then(() => {
-    console.log('MongoDB connected successfully.');
-    // run seeder after connecting
-    seedDatabase();
-  })
-  .catch((err) => {
-    console.error('MongoDB connection error:', err);
-  });
+async function connectToDatabase() {
+  for (let attempt = 1; !shuttingDown; attempt += 1) {
+    try {
+      await mongoose.connect(config.mongoUri, { serverSelectionTimeoutMS: DB_CONNECT_TIMEOUT_MS });
+      logger.info('MongoDB connected successfully.');
+      return true;
+    } catch (err) {
+      const retryInMs = Math.min(DB_RETRY_MIN_MS * 2 ** (attempt - 1), DB_RETRY_MAX_MS);
+      logger.error('MongoDB connection failed, retrying.', { attempt, retryInMs, err });
+      await new Promise(resolve => setTimeout(resolve, retryInMs).unref());
+    }
+  }
+  return false;
+}
+
+mongoose.connection.on('disconnected', () => {
+  if (!shuttingDown) logger.warn('MongoDB disconnected.');
+});
+mongoose.connection.on('reconnected', () => logger.info('MongoDB reconnected.'));
+
+// bring old data up to date, then run seeder and start the background work
+function prepareDatabase() {
+  return migratePricesToCents()
+    .then((counts) => logger.info('Price migration done.', counts))
+    .then(seedCategories)
+    .then(seedDatabase)
+    .then(seedCollections)
+    .then(seedCoupons)
+    .then(backfillCartTimestamps)
+    .then(backfillOrderAccessTokens)
+    .then(() => Review.syncIndexes()) // drops the old one-review-per-email index
+    .then(startCartJobs)
+    .then(startLiveUpdates)
+    .catch((err) => logger.error('Error preparing database.', { err }));
+}
 
 // --- Schemas ---
 
-// Product Schema
-const productSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  price: { type: Number, required: true },
-  image: { type: String, required: true },
-});
-const Product = mongoose.model('Product', productSchema);
+// Product (and its variants) - see catalog/product.js
+
+// Cart Schema
+// One cart per shopper, looked up by an anonymous token the frontend keeps
+const cartSchema = new mongoose.Schema({
+  token: { type: String, required: true, unique: true },
+  // set once a signed-in customer owns the cart (one cart per user)
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', unique: true, sparse: true },
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' }, // applied discount code, if any
+  // bumped on every change. Clients send it back to detect they're editing a stale cart
+  version: { type: Number, default: 0 },
+  // who to remind if it's abandoned - guests give us this at checkout,
+  // signed-in customers are reached through `user`
+  contact: {
+    name: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+  },
+  // abandoned-cart reminders, see the Abandoned Carts section
+  recoveryToken: { type: String, unique: true, sparse: true }, // for the emailed restore link
+  reminderSentAt: { type: Date },
+  restoredAt: { type: Date }, // last time a reminder link was followed
+}, { timestamps: true }); // updatedAt = last change, which is what "idle" is measured from
+cartSchema.index({ updatedAt: 1 });
+const Cart = mongoose.model('Cart', cartSchema);
 
 // Cart Item Schema
 const cartItemSchema = new mongoose.Schema({
+  // which shopper's cart this line belongs to
+  cart: { type: mongoose.Schema.Types.ObjectId, ref: 'Cart', required: true, index: true },
   // Store a ref to the product, not the whole object
   product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  // the product's variant (_id of an entry in product.variants), null if it has none
+  variant: { type: mongoose.Schema.Types.ObjectId, default: null },
   quantity: { type: Number, required: true, min: 1, default: 1 },
-});
+}, { timestamps: true });
+// one line per product+variant, so concurrent adds can't create duplicates
+cartItemSchema.index({ cart: 1, product: 1, variant: 1 }, { unique: true });
 const CartItem = mongoose.model('CartItem', cartItemSchema);
 
+// Coupon Schema
+// See promotions.js for how each type is applied
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String }, // optional, otherwise generated from the rule
+  type: { type: String, enum: COUPON_TYPES, required: true },
+  value: { type: Number, min: 0, default: 0 }, // percent for 'percentage', cents for 'fixed'
+  // buy_x_get_y: buy `buyQuantity` of a product, get `getQuantity` more free
+  buyQuantity: { type: Number, min: 1 },
+  getQuantity: { type: Number, min: 1 },
+  products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }], // empty = any product
+  minSubtotal: { type: Number, min: 0, default: 0 }, // cents
+  currency: { type: String, default: STORE_CURRENCY },
+  expiresAt: { type: Date },
+  usageLimit: { type: Number, min: 0 }, // unset = unlimited
+  usedCount: { type: Number, min: 0, default: 0 },
+  active: { type: Boolean, default: true },
+});
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+// Order Schema
+// Line items are snapshots - name/price are copied so old orders
+// still read right after a product is edited or removed
+const orderItemSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  variant: { type: mongoose.Schema.Types.ObjectId },
+  sku: { type: String },
+  name: { type: String, required: true },
+  options: { type: String }, // variant label at time of purchase, e.g. "M / Black"
+  price: { type: Number, required: true }, // unit price (cents) at time of purchase
+  quantity: { type: Number, required: true, min: 1 },
+}, { _id: false });
+
+const addressSchema = new mongoose.Schema({
+  line1: { type: String, required: true },
+  line2: { type: String },
+  city: { type: String, required: true },
+  region: { type: String }, // state/province code, e.g. CA
+  postalCode: { type: String, required: true },
+  country: { type: String, required: true }, // ISO 3166 alpha-2, e.g. US
+}, { _id: false });
+
+const discountLineSchema = new mongoose.Schema({
+  code: { type: String, required: true },
+  description: { type: String },
+  amount: { type: Number, required: true },
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  items: { type: [orderItemSchema], required: true },
+  customer: {
+    name: { type: String, required: true, trim: true },
+    email: { type: String, required: true, trim: true, lowercase: true, index: true },
+  },
+  subtotal: { type: Number, required: true },
+  discounts: { type: [discountLineSchema], default: [] },
+  discountTotal: { type: Number, default: 0 },
+  shippingAddress: { type: addressSchema },
+  shipping: {
+    method: { type: String },
+    label: { type: String },
+    amount: { type: Number, default: 0 },
+  },
+  tax: {
+    rate: { type: Number, default: 0 },
+    jurisdiction: { type: String },
+    amount: { type: Number, default: 0 },
+  },
+  total: { type: Number, required: true },
+  currency: { type: String, default: STORE_CURRENCY },
+  // see orders.js for how orders move between these
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'pending_payment',
+    index: true
+  },
+  payment: {
+    provider: { type: String },
+    intentId: { type: String, index: true },
+    status: { type: String },
+    failureReason: { type: String },
+    refundId: { type: String },
+    refundPending: { type: Boolean }, // set while the provider is asked for a refund, see claimRefund
+  },
+  paidAt: { type: Date },
+  shippedAt: { type: Date },
+  deliveredAt: { type: Date },
+  cancelledAt: { type: Date },
+  cancelReason: { type: String },
+  tracking: {
+    carrier: { type: String, trim: true },
+    number: { type: String, trim: true },
+  },
+  // where the order came from, so the cart can be cleared once payment lands
+  cart: { type: mongoose.Schema.Types.ObjectId, ref: 'Cart' },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true }, // if signed in
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+  // the order page link is /orders/:id?token=<accessToken> - only whoever placed
+  // the order gets it (checkout response, emails). The id alone shows nothing
+  accessToken: { type: String, unique: true, sparse: true },
+}, { timestamps: true });
+// for the sales analytics (see analytics.js)
+orderSchema.index({ paidAt: 1 });
+orderSchema.index({ cart: 1 });
+const Order = mongoose.model('Order', orderSchema);
+
+// User Schema
+const userSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  email: { type: String, required: true, unique: true, trim: true, lowercase: true },
+  passwordHash: { type: String, required: true },
+  address: { type: addressSchema }, // last shipping address, to prefill checkout
+}, { timestamps: true });
+
+// never send the hash to the client
+userSchema.methods.toPublicJSON = function toPublicJSON() {
+  return { id: this._id.toString(), name: this.name, email: this.email, address: this.address };
+};
+const User = mongoose.model('User', userSchema);
+
+// Revoked Token Schema
+// JWTs are stateless, so logout records the token id until it would have expired anyway
+const revokedTokenSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }, // TTL - mongo cleans these up
+});
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+// Review Schema
+// One review per product per customer account - or, for guests, per cart
+// (their cart token is the one thing a guest can't borrow from someone else;
+// an email they type could be anyone's). Hidden reviews (admin moderation)
+// aren't shown and don't count towards the product's rating.
+const reviewSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true, index: true },
+  rating: { type: Number, required: true, min: 1, max: 5, validate: Number.isInteger },
+  title: { type: String, required: true, trim: true },
+  body: { type: String, default: '', trim: true },
+  author: {
+    name: { type: String, required: true, trim: true },
+    email: { type: String, required: true, trim: true, lowercase: true }, // never sent to other shoppers
+  },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // if signed in
+  guestCart: { type: mongoose.Schema.Types.ObjectId, ref: 'Cart' }, // if not
+  // the signed-in author's account email has a paid order for this product
+  verifiedPurchase: { type: Boolean, default: false },
+  hidden: { type: Boolean, default: false },
+}, { timestamps: true });
+reviewSchema.index({ product: 1, user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+reviewSchema.index({ product: 1, guestCart: 1 }, { unique: true, partialFilterExpression: { guestCart: { $exists: true } } });
+
+// what shoppers see of a review
+reviewSchema.methods.toPublicJSON = function toPublicJSON() {
+  return {
+    id: this._id.toString(),
+    rating: this.rating,
+    title: this.title,
+    body: this.body,
+    author: this.author.name,
+    verifiedPurchase: this.verifiedPurchase,
+    createdAt: this.createdAt.toISOString()
+  };
+};
+const Review = mongoose.model('Review', reviewSchema);
+
+// Idempotency Key Schema
+// the result of a checkout, stored under the client's Idempotency-Key so a
+// retried or double-submitted checkout gets the same answer instead of a second order
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  cart: { type: mongoose.Schema.Types.ObjectId, ref: 'Cart', required: true }, // keys are per shopper
+  requestHash: { type: String, required: true }, // the same key must come with the same body
+  response: { // unset while the checkout is still running
+    status: { type: Number },
+    body: { type: mongoose.Schema.Types.Mixed },
+  },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+});
+idempotencyKeySchema.index({ cart: 1, key: 1 }, { unique: true });
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
 
 // --- Database Seeding (Mock Data) ---
-const MOCK_PRODUCTS = [
-  { name: 'Classic Vibe Tee', price: 25.00, image: 'https://placehold.co/400x400/2D3748/E2E8F0?text=Vibe+Tee' },
-  { name: 'Retro Vibe Hoodie', price: 55.00, image: 'https://placehold.co/400x400/4A5568/E2E8F0?text=Vibe+Hoodie' },
-  { name: 'Vibe Snapback Cap', price: 18.50, image: 'https://placehold.co/400x400/718096/E2E8F0?text=Vibe+Cap' },
-  { name: 'Aesthetic Vibe Mug', price: 12.99, image: 'https://placehold.co/400x400/2D3748/E2E8F0?text=Vibe+Mug' },
-  { name: 'Vibe-On-The-Go Tumbler', price: 22.00, image: 'https://placehold.co/400x400/4A5568/E2E8F0?text=Vibe+Tumbler' },
-  { name: 'Minimalist Vibe Print', price: 30.00, image: 'https://placehold.co/400x400/718096/E2E8F0?text=Vibe+Print' },
+// the sample catalog is an ordinary import file (see catalog/index.js) -
+// prices are in cents, weights in grams
+const SAMPLE_CATALOG_FILE = path.join(__dirname, 'catalog', 'sample-products.json');
+const MOCK_PRODUCTS = require(SAMPLE_CATALOG_FILE);
+
+// sample promo codes. `productNames` get swapped for product IDs when seeding
+const MOCK_COUPONS = [
+  { code: 'WELCOME10', type: 'percentage', value: 10 },
+  { code: 'SAVE5', type: 'fixed', value: 500, minSubtotal: 3000 },
+  { code: 'MUGBOGO', type: 'buy_x_get_y', buyQuantity: 1, getQuantity: 1, productNames: ['Aesthetic Vibe Mug'] },
+  { code: 'BIGVIBES', type: 'percentage', value: 20, minSubtotal: 10000, usageLimit: 100 },
 ];
 
+// sample category tree, parents first. Products list theirs in sample-products.json
+const MOCK_CATEGORIES = [
+  { slug: 'apparel', name: 'Apparel', position: 0 },
+  { slug: 'tops', name: 'Tops', parentSlug: 'apparel', position: 0 },
+  { slug: 'headwear', name: 'Headwear', parentSlug: 'apparel', position: 1 },
+  { slug: 'accessories', name: 'Accessories', position: 1 },
+  { slug: 'drinkware', name: 'Drinkware', position: 2 },
+  { slug: 'home-decor', name: 'Home Decor', position: 3 },
+];
+
+// sample collections. `productSkus` are swapped for product IDs, in this order
+const MOCK_COLLECTIONS = [
+  {
+    slug: 'new-arrivals', name: 'New Arrivals', position: 0,
+    description: 'Fresh drops from the Vibe studio.',
+    productSkus: ['VIBE-PRINT', 'VIBE-HOODIE', 'VIBE-TUMBLER'],
+  },
+  {
+    slug: 'best-sellers', name: 'Best Sellers', position: 1,
+    description: 'What everyone is vibing with right now.',
+    productSkus: ['VIBE-TEE', 'VIBE-MUG', 'VIBE-CAP'],
+  },
+];
+
+// stock given to products seeded before inventory tracking existed
+const DEFAULT_STOCK = 20;
+
 // check if db is empty, then seed
 async function seedDatabase() {
   try {
     const productCount = await Product.countDocuments();
     if (productCount === 0) {
-      console.log('No products found. Seeding database...');
-      await Product.insertMany(MOCK_PRODUCTS);
-      console.log('Database seeded with mock products.');
+      logger.info('No products found. Seeding database...');
+      const { created } = await importCatalog(fs.readFileSync(SAMPLE_CATALOG_FILE, 'utf8'), { format: 'json' });
+      logger.info(`Database seeded with ${created} mock products.`);
     } else {
-      console.log('Database already contains products. Skipping seed.');
+      logger.info('Database already contains products. Skipping seed.');
+      // backfill stock on products from before inventory tracking
+      const { modifiedCount } = await Product.updateMany(
+        { stock: { $exists: false } },
+        { $set: { stock: DEFAULT_STOCK } }
+      );
+      if (modifiedCount > 0) {
+        logger.info(`Backfilled stock on ${modifiedCount} products.`);
+      }
+      // and description/category/weight/SKU on the mock products from before those fields
+      for (const mock of MOCK_PRODUCTS) {
+        await Product.updateOne(
+          { name: mock.name, sku: { $exists: false } },
+          { $set: { sku: mock.sku } }
+        );
+        await Product.updateOne(
+          { name: mock.name, category: { $exists: false } },
+          { $set: { category: mock.category, description: mock.description } }
+        );
+        await Product.updateOne(
+          { name: mock.name, weight: { $exists: false } },
+          { $set: { weight: mock.weight } }
+        );
+        if (mock.images) {
+          await Product.updateOne(
+            { name: mock.name, images: { $exists: false } },
+            { $set: { images: mock.images } }
+          );
+        }
+        // and the apparel sizes. Cart lines from before this point at no
+        // variant, the cart asks the shopper to pick one again
+        if (mock.variants) {
+          await Product.updateOne(
+            { name: mock.name, 'variants.0': { $exists: false } },
+            { $set: { variants: mock.variants, stock: mock.stock } }
+          );
+        }
+        // and their place in the category tree
+        const categories = await Category.find({ slug: { $in: mock.categories } }).select('_id');
+        await Product.updateOne(
+          { sku: mock.sku, 'categories.0': { $exists: false } },
+          { $set: { categories: categories.map(c => c._id) } }
+        );
+      }
     }
   } catch (err) {
-    console.error('Error seeding database:', err);
+    logger.error('Error seeding database.', { err });
   }
 }
 
-// --- API Endpoints ---
-
-// GET /api/products - fetch all products
-app.get('/api/products', async (req, res) => {
+// seed the sample coupons if there are none yet
+async function seedCoupons() {
   try {
-    const products = await Product.find({});
-    res.json(products);
+    const couponCount = await Coupon.countDocuments();
+    if (couponCount > 0) return;
+
+    for (const { productNames, ...mock } of MOCK_COUPONS) {
+      const products = productNames
+        ? await Product.find({ name: { $in: productNames } }).select('_id')
+        : [];
+      await Coupon.create({ ...mock, products: products.map(p => p._id) });
+    }
+    logger.info('Database seeded with sample coupons.');
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Server error while fetching products.' });
+    logger.error('Error seeding coupons.', { err });
   }
-});
+}
 
-// GET /api/cart - get all cart items + total
-app.get('/api/cart', async (req, res) => {
+// seed the sample category tree if there are no categories yet.
+// Runs before the products, which name their categories
+async function seedCategories() {
   try {
-    // populate() is key - it swaps the product ID for the full product doc
-    const cartItems = await CartItem.find({}).populate('product');
-
-    // Calculate total price
-    const total = cartItems.reduce((acc, item) => {
-      // safety check in case product was deleted but still in cart
-      if (item.product) {
-        return acc + (item.product.price * item.quantity);
-      }
-      return acc;
-    }, 0);
+    if (await Category.exists({ type: 'category' })) return;
 
-    res.json({ cartItems, total: parseFloat(total.toFixed(2)) });
+    const ids = new Map();
+    for (const { parentSlug, ...mock } of MOCK_CATEGORIES) {
+      const category = await Category.create({ ...mock, parent: parentSlug ? ids.get(parentSlug) : null });
+      ids.set(category.slug, category._id);
+    }
+    logger.info('Database seeded with sample categories.');
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Server error while fetching cart.' });
+    logger.error('Error seeding categories.', { err });
   }
-});
+}
 
+// seed the sample collections if there are none yet
+async function seedCollections() {
+  try {
+    if (await Category.exists({ type: 'collection' })) return;
 
-// POST /api/cart - add/update item quantity
-app.post('/api/cart', async (req, res) => {
-  const { productId, quantity } = req.body;
+    for (const { productSkus, ...mock } of MOCK_COLLECTIONS) {
+      const products = await Product.find({ sku: { $in: productSkus } }).select('_id sku');
+      const ordered = productSkus.map(sku => products.find(p => p.sku === sku)).filter(Boolean);
+      await Category.create({ ...mock, type: 'collection', products: ordered.map(p => p._id) });
+    }
+    logger.info('Database seeded with sample collections.');
+  } catch (err) {
+    logger.error('Error seeding collections.', { err });
+  }
+}
 
-  if (!productId || !quantity || quantity < 1) {
-    return res.status(400).json({ message: 'Invalid input. Product ID and quantity > 0 required.' });
+// carts from before they had timestamps count as active from now on,
+// so the abandoned-cart jobs don't treat them all as ancient
+async function backfillCartTimestamps() {
+  const now = new Date();
+  const stamp = [{ updatedAt: { $exists: false } }, { $set: { createdAt: now, updatedAt: now } }, { timestamps: false }];
+  const carts = await Cart.updateMany(...stamp);
+  const items = await CartItem.updateMany(...stamp);
+  if (carts.modifiedCount || items.modifiedCount) {
+    logger.info(`Backfilled timestamps on ${carts.modifiedCount} carts and ${items.modifiedCount} cart items.`);
   }
+}
+
+const newOrderAccessToken = () => crypto.randomBytes(24).toString('base64url');
+
+// orders from before access tokens get one, so their emailed links can work
+async function backfillOrderAccessTokens() {
+  const orders = await Order.find({ accessToken: null }).select('_id').lean();
+  if (orders.length === 0) return;
+  await Order.bulkWrite(orders.map(({ _id }) => ({
+    updateOne: { filter: { _id, accessToken: null }, update: { accessToken: newOrderAccessToken() }, timestamps: false },
+  })));
+  logger.info(`Backfilled access tokens on ${orders.length} orders.`);
+}
+
+// --- Auth Middleware ---
+// Customers sign in for a JWT and send it as `Authorization: Bearer <token>`.
+// authenticate() runs on every request and sets req.user when the token is good;
+// routes that need a user add requireAuth.
+const JWT_SECRET = config.jwtSecret || crypto.randomBytes(32).toString('hex');
+const JWT_EXPIRES_IN = config.jwtExpiresIn;
+
+if (!config.jwtSecret) {
+  logger.warn('JWT_SECRET is not set. Using a random one - sessions end when the server restarts.');
+}
+
+function issueToken(user) {
+  return jwt.sign({ sub: user._id.toString() }, JWT_SECRET, {
+    expiresIn: JWT_EXPIRES_IN,
+    jwtid: crypto.randomUUID()
+  });
+}
+
+async function authenticate(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return next();
 
   try {
-    // check if item already in cart
-    let cartItem = await CartItem.findOne({ product: productId });
+    const payload = jwt.verify(token, JWT_SECRET);
+    if (await RevokedToken.exists({ jti: payload.jti })) return next();
 
-    if (cartItem) {
-      // item exists, update qty
-      cartItem.quantity = quantity;
-      await cartItem.save();
-    } else {
-      // new item, create it
-      // first, check if product exists
-      const product = await Product.findById(productId);
-      if (!product) {
-        return res.status(404).json({ message: 'Product not found.' });
-      }
-      cartItem = new CartItem({
-        product: productId,
-        quantity: quantity
-      });
-      await cartItem.save();
+    const user = await User.findById(payload.sub);
+    if (user) {
+      req.user = user;
+      req.tokenPayload = payload;
+    }
+  } catch (err) {
+    // bad/expired token - carry on as a guest, requireAuth will 401 if it matters
+  }
+  next();
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return next(unauthorized('Please sign in.'));
+  }
+  next();
+}
+
+// --- Cart Token Middleware ---
+// Every shopper gets an anonymous cart token on first visit. It's sent back in
+// the X-Cart-Token header and the frontend echoes it on every request.
+// Unknown/missing tokens just get a fresh cart. Signed-in customers always
+// get their own cart, whatever token they send.
+const CART_TOKEN_HEADER = 'X-Cart-Token';
+
+async function resolveCart(req, res, next) {
+  let cart;
+  if (req.user) {
+    cart = await Cart.findOne({ user: req.user._id });
+    if (!cart) {
+      cart = await Cart.create({ token: crypto.randomUUID(), user: req.user._id });
     }
+  } else {
+    const token = req.get(CART_TOKEN_HEADER);
+    // a user's cart is only reachable while signed in as them
+    cart = token ? await Cart.findOne({ token, user: null }) : null;
+    if (!cart) {
+      cart = await Cart.create({ token: crypto.randomUUID() });
+    }
+  }
 
-    // Respond with the updated item
-    const populatedItem = await CartItem.findById(cartItem._id).populate('product');
-    res.status(201).json(populatedItem);
+  req.cart = cart;
+  res.set(CART_TOKEN_HEADER, cart.token);
+  next();
+}
+
+// --- Helpers ---
+
+// shape an Order doc into the receipt the frontend expects. The access token
+// only goes to whoever placed the order (and admins)
+function formatOrder(order, { withAccessToken = false } = {}) {
+  return {
+    orderId: order._id.toString(),
+    accessToken: withAccessToken ? order.accessToken : undefined,
+    status: order.status,
+    customer: order.customer,
+    items: order.items.map(item => ({
+      name: item.name,
+      sku: item.sku,
+      options: item.options,
+      quantity: item.quantity,
+      price: item.price
+    })),
+    subtotal: order.subtotal,
+    discounts: order.discounts.map(({ code, description, amount }) => ({ code, description, amount })),
+    discountTotal: order.discountTotal,
+    shippingAddress: order.shippingAddress,
+    shipping: order.shipping,
+    tax: order.tax,
+    total: order.total,
+    currency: order.currency,
+    payment: order.payment && {
+      provider: order.payment.provider,
+      status: order.payment.status,
+      failureReason: order.payment.failureReason
+    },
+    tracking: order.tracking && order.tracking.number ? { carrier: order.tracking.carrier, number: order.tracking.number } : null,
+    cancelReason: order.cancelReason,
+    // when each step happened, for the order page's timeline
+    paidAt: order.paidAt,
+    shippedAt: order.shippedAt,
+    deliveredAt: order.deliveredAt,
+    cancelledAt: order.cancelledAt,
+    timestamp: order.createdAt.toISOString()
+  };
+}
 
+// email the customer about their order (see mail/templates.js).
+// never fails the request - a mail server hiccup just gets logged
+async function sendOrderEmail(order, type) {
+  const receipt = formatOrder(order, { withAccessToken: true }); // for the link to the order page
+  try {
+    await mailer.send({ to: receipt.customer.email, ...ORDER_EMAILS[type](receipt) });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Server error while adding to cart.' });
+    logger.error('Failed to send order email.', { type, orderId: receipt.orderId, err });
   }
-});
+}
+
+// price a cart (see pricing.js). Loads the applied coupon, if any.
+// `options` is { address, shippingMethod } for quote/checkout.
+async function summarizeCart(cart, cartItems, options = {}) {
+  const coupon = cart.coupon ? await Coupon.findById(cart.coupon) : null;
+  return priceCart(toPricingLines(cartItems), coupon, options);
+}
+
+// take stock for one line. The decrement only matches if enough is left,
+// so two shoppers can't both buy the last unit. Variant lines move the
+// variant's stock and the product total together.
+// lines are { productId, variantId, quantity }; returns true if reserved
+async function reserveStock(line, session) {
+  const filter = { _id: line.productId, archived: { $ne: true } };
+  const inc = { stock: -line.quantity };
+  if (line.variantId) {
+    filter.variants = { $elemMatch: { _id: line.variantId, stock: { $gte: line.quantity } } };
+    inc['variants.$.stock'] = -line.quantity;
+  } else {
+    filter.stock = { $gte: line.quantity };
+  }
+  const { modifiedCount } = await Product.updateOne(filter, { $inc: inc }, { session });
+  return modifiedCount === 1;
+}
 
+// --- Cart Mutations ---
+// Quantity changes are single atomic updates ($inc with a guard), so rapid
+// +/- clicks or two tabs can't lose updates. Every change bumps cart.version
+// and responds with the full recomputed cart (cartPayload).
+
+// what every cart endpoint responds with
+async function cartPayload(cart) {
+  const cartItems = await CartItem.find({ cart: cart._id }).populate('product');
+  const summary = await summarizeCart(cart, cartItems);
+  return { cartItems, ...summary, version: cart.version };
+}
+
+// bump the version after a change. With `expectedVersion` it only goes
+// through if nobody changed the cart since the client last saw it.
+// returns the updated cart, or null on a version conflict
+async function touchCart(cart, expectedVersion) {
+  const filter = { _id: cart._id };
+  if (expectedVersion !== undefined) filter.version = expectedVersion;
+  return Cart.findOneAndUpdate(filter, { $inc: { version: 1 } }, { new: true });
+}
 
-// DELETE /api/cart/:id - remove item from cart
-app.delete('/api/cart/:id', async (req, res) => {
-  const { id } = req.params;
+// add `quantity` to a product+variant line, creating it if needed.
+// returns the line, or null if that would go over `stock`
+async function addToCartLine(cart, productId, variantId, quantity, stock) {
+  const key = { cart: cart._id, product: productId, variant: variantId };
+  const incremented = await CartItem.findOneAndUpdate(
+    { ...key, quantity: { $lte: stock - quantity } },
+    { $inc: { quantity } },
+    { new: true }
+  );
+  if (incremented) return incremented;
+  if (await CartItem.exists(key)) return null; // there, but no room for more
+  if (quantity > stock) return null;
 
   try {
-    const deletedItem = await CartItem.findByIdAndDelete(id);
+    return await CartItem.create({ ...key, quantity });
+  } catch (err) {
+    // someone else created the line first - add to theirs
+    if (err.code !== 11000) throw err;
+    return CartItem.findOneAndUpdate(
+      { ...key, quantity: { $lte: stock - quantity } },
+      { $inc: { quantity } },
+      { new: true }
+    );
+  }
+}
+
+// take `quantity` off a line, deleting it if that leaves nothing. Returns the
+// line as it was, or null if it's gone (removed in another tab, say). Each
+// step only applies to the quantity it expects, so a change in between just
+// means another go
+async function removeFromCartLine(itemId, quantity) {
+  while (await CartItem.exists({ _id: itemId })) {
+    const line = await CartItem.findOneAndUpdate({ _id: itemId, quantity: { $gt: quantity } }, { $inc: { quantity: -quantity } })
+      || await CartItem.findOneAndDelete({ _id: itemId, quantity: { $lte: quantity } });
+    if (line) return line;
+  }
+  return null;
+}
+
+// "Tee (M / Black)" for messages
+function lineDisplayName(product, unit) {
+  return unit && unit.label ? `${product.name} (${unit.label})` : product.name;
+}
 
-    if (!deletedItem) {
-      return res.status(404).json({ message: 'Cart item not found.' });
+function outOfStockMessage(product, unit) {
+  return unit.stock === 0
+    ? `${lineDisplayName(product, unit)} is sold out.`
+    : `Only ${unit.stock} of ${lineDisplayName(product, unit)} left in stock.`;
+}
+
+// put reserved stock back, e.g. when an order's payment fails.
+async function releaseStock(lines, session) {
+  for (const line of lines) {
+    if (line.variantId) {
+      await Product.updateOne(
+        { _id: line.productId, 'variants._id': line.variantId },
+        { $inc: { stock: line.quantity, 'variants.$.stock': line.quantity } },
+        { session }
+      );
+    } else {
+      await Product.updateOne({ _id: line.productId }, { $inc: { stock: line.quantity } }, { session });
+    }
+  }
+}
+
+// pending_payment -> paid. Safe to call twice (e.g. webhook replays),
+// only the first call does anything.
+async function markOrderPaid(order) {
+  let paid = null;
+  await mongoose.connection.transaction(async (session) => {
+    paid = await Order.findOneAndUpdate(
+      { _id: order._id, status: { $in: statusesLeadingTo('paid') } },
+      { status: 'paid', 'payment.status': 'succeeded', paidAt: new Date() },
+      { new: true, session }
+    );
+    if (!paid || !paid.cart) return;
+
+    // payment's in - take exactly what was bought off the cart (and the coupon).
+    // anything added since checkout started stays put
+    for (const item of paid.items) {
+      await CartItem.updateOne(
+        { cart: paid.cart, product: item.product, variant: item.variant || null },
+        { $inc: { quantity: -item.quantity } },
+        { session }
+      );
     }
+    await CartItem.deleteMany({ cart: paid.cart, quantity: { $lte: 0 } }, { session });
+    await Cart.updateOne({ _id: paid.cart }, { $unset: { coupon: 1 }, $inc: { version: 1 } }, { session });
+  });
+  if (!paid) return Order.findById(order._id);
+
+  ordersPaid.inc({ currency: paid.currency });
+  checkoutRevenue.inc({ currency: paid.currency }, paid.total);
+  sendOrderEmail(paid, 'confirmation'); // don't hold up checkout/the webhook on the mail server
+  return paid;
+}
+
+// give back the stock and coupon use an order held (it failed or was cancelled)
+async function releaseOrder(order, session) {
+  await releaseStock(order.items.map(item => ({
+    productId: item.product,
+    variantId: item.variant,
+    quantity: item.quantity
+  })), session);
+  if (order.coupon) {
+    await Coupon.updateOne({ _id: order.coupon }, { $inc: { usedCount: -1 } }, { session });
+  }
+}
+
+// pending_payment -> failed. Gives back the stock and coupon use the order held.
+async function markOrderFailed(order, failureReason) {
+  let failed = null;
+  await mongoose.connection.transaction(async (session) => {
+    failed = await Order.findOneAndUpdate(
+      { _id: order._id, status: { $in: statusesLeadingTo('failed') } },
+      { status: 'failed', 'payment.status': 'failed', 'payment.failureReason': failureReason },
+      { new: true, session }
+    );
+    if (failed) await releaseOrder(failed, session);
+  });
+  return failed || Order.findById(order._id);
+}
+
+// --- Refunds ---
+// A refund claims the order first (payment.refundPending, only set if nobody
+// moved the order or claimed it since we looked), then asks the provider, then
+// moves the order on. So two admins - or a refund and a "mark shipped" - can't
+// both go ahead, and the customer is never refunded twice. Other transitions
+// out of 'paid' skip claimed orders (NOT_BEING_REFUNDED).
+const NOT_BEING_REFUNDED = { 'payment.refundPending': { $ne: true } };
 
-    res.json({ message: 'Item removed from cart.', removedItem: deletedItem });
+// refund `order` in full and move it to `status` ('cancelled' | 'refunded'),
+// with `update` on top, giving back its stock and coupon use. Returns the
+// updated order, or null if it had moved on in the meantime (nothing refunded).
+// If the provider says no, the claim is dropped and the order stays as it was
+async function refundOrder(order, status, update = {}) {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status, ...NOT_BEING_REFUNDED },
+    { 'payment.refundPending': true },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  let refund;
+  try {
+    refund = await paymentProvider.refund(claimed.payment.intentId, { amount: claimed.total });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Server error while removing from cart.' });
+    await Order.updateOne({ _id: claimed._id }, { $unset: { 'payment.refundPending': 1 } });
+    throw err;
+  }
+  if (refund.status !== 'succeeded') {
+    await Order.updateOne({ _id: claimed._id }, { $unset: { 'payment.refundPending': 1 } });
+    throw new ApiError(502, 'PAYMENT_PROVIDER_ERROR', 'The payment provider rejected the refund.');
   }
-});
 
-// POST /api/checkout - mock checkout
-app.post('/api/checkout', async (req, res) => {
-  // real app would have payment processing here (stripe, etc)
-  // here, we'll just clear the cart and return a receipt.
+  let refunded = null;
+  await mongoose.connection.transaction(async (session) => {
+    refunded = await Order.findOneAndUpdate(
+      { _id: claimed._id, 'payment.refundPending': true },
+      {
+        ...update,
+        status,
+        'payment.status': 'refunded',
+        'payment.refundId': refund.id,
+        $unset: { 'payment.refundPending': 1 },
+      },
+      { new: true, session }
+    );
+    if (refunded) await releaseOrder(refunded, session);
+  });
+  if (!refunded) {
+    // only we clear the claim, so this shouldn't happen - but the money's gone back
+    logger.error('Refunded an order that could not be updated.', { orderId: claimed._id.toString(), refundId: refund.id });
+  }
+  return refunded;
+}
+
+const isRefundable = order => Boolean(order.payment && order.payment.intentId && order.payment.status === 'succeeded');
+
+// a pending_payment order with a payment intent is being paid for right now
+// (checkout is confirming it, or the provider's webhook hasn't come yet)
+const PAYMENT_NOT_STARTED = { 'payment.intentId': null };
+
+// -> cancelled (admin). A paid order is refunded in full (see refundOrder); if
+// the provider won't refund, the order stays as it was. An order whose payment
+// is still going through can't be cancelled - it would be charged anyway.
+// returns the cancelled order, or null if it had moved on in the meantime
+async function cancelOrder(order, reason) {
+  if (order.status === 'pending_payment' && order.payment && order.payment.intentId) {
+    throw conflict('PAYMENT_PROCESSING', "This order's payment is still going through. Try again once it has settled.");
+  }
+  const update = { cancelledAt: new Date(), cancelReason: reason || undefined };
+
+  let cancelled = null;
+  if (isRefundable(order)) {
+    cancelled = await refundOrder(order, 'cancelled', update);
+  } else {
+    const notPaying = order.status === 'pending_payment' ? PAYMENT_NOT_STARTED : {};
+    await mongoose.connection.transaction(async (session) => {
+      cancelled = await Order.findOneAndUpdate(
+        { _id: order._id, status: order.status, ...NOT_BEING_REFUNDED, ...notPaying },
+        { ...update, status: 'cancelled' },
+        { new: true, session }
+      );
+      if (cancelled) await releaseOrder(cancelled, session);
+    });
+  }
+  if (cancelled) sendOrderEmail(cancelled, 'cancelled');
+  return cancelled;
+}
+
+// move a guest cart's lines into a user's cart on sign in.
+// same product+variant in both: quantities add up, capped at what's in stock.
+// Guest lines for something no longer for sale (sold out, archived, a variant
+// that's gone) are dropped. It all happens in one transaction, so two sign-ins
+// at once or a stock change mid-merge make it start over with fresh numbers
+async function mergeGuestCart(guestToken, user) {
+  if (!guestToken) return;
+
+  await mongoose.connection.transaction(async (session) => {
+    const guestCart = await Cart.findOne({ token: guestToken, user: null }).session(session);
+    if (!guestCart) return;
+
+    const userCart = await Cart.findOne({ user: user._id }).session(session);
+    if (!userCart) {
+      // no cart yet - the guest cart simply becomes theirs
+      guestCart.user = user._id;
+      await guestCart.save({ session });
+      return;
+    }
+
+    const guestItems = await CartItem.find({ cart: guestCart._id }).session(session).populate({ path: 'product', options: { session } });
+    for (const item of guestItems) {
+      const unit = item.product && !item.product.archived ? resolveVariant(item.product, item.variant) : null;
+      // not for sale any more - the guest's line is dropped, the user's own one left alone
+      if (!unit || unit.stock <= 0) continue;
+      const key = { cart: userCart._id, product: item.product._id, variant: item.variant };
+      const existing = await CartItem.findOne(key).session(session);
+      const quantity = Math.min((existing ? existing.quantity : 0) + item.quantity, unit.stock);
+
+      if (existing) {
+        existing.quantity = quantity;
+        await existing.save({ session });
+      } else {
+        await CartItem.create([{ ...key, quantity }], { session });
+      }
+    }
+
+    // keep the guest's coupon if the user cart doesn't have one
+    const update = { $inc: { version: 1 } };
+    if (!userCart.coupon && guestCart.coupon) update.coupon = guestCart.coupon;
+    await Cart.updateOne({ _id: userCart._id }, update, { session });
+
+    await CartItem.deleteMany({ cart: guestCart._id }, { session });
+    await Cart.deleteOne({ _id: guestCart._id }, { session });
+  });
+}
+
+// --- Abandoned Carts ---
+// Two background jobs (see scheduler.js), started once the database is ready:
+// - reminders: carts left alone for ABANDONED_CART_AFTER_MINUTES with something
+//   in them and someone to email get one reminder with a restore link. Changing
+//   the cart again makes it eligible for another one.
+// - expiry: guest carts untouched for CART_EXPIRY_DAYS are deleted with their lines.
+//   Customers' carts are kept.
+const ABANDONED_CART_AFTER_MS = config.cartJobs.abandonedAfterMs;
+const CART_EXPIRY_MS = config.cartJobs.expiryMs;
+const CART_JOBS_INTERVAL_MS = config.cartJobs.intervalMs;
+const CART_JOBS_ENABLED = config.cartJobs.enabled;
+const CART_JOB_BATCH_SIZE = 100; // per run, the rest wait for the next one
+
+const scheduler = createScheduler();
+
+// carts due a reminder: idle long enough, someone to email, and not already
+// reminded since their last change
+function abandonedCartFilter(now) {
+  return {
+    updatedAt: { $lt: new Date(now - ABANDONED_CART_AFTER_MS) },
+    $and: [
+      { $or: [{ user: { $ne: null } }, { 'contact.email': { $ne: null } }] },
+      { $or: [{ reminderSentAt: null }, { $expr: { $lt: ['$reminderSentAt', '$updatedAt'] } }] },
+    ],
+  };
+}
+
+async function sendCartReminders(now = new Date()) {
+  const carts = await Cart.find(abandonedCartFilter(now))
+    .sort({ updatedAt: 1 })
+    .limit(CART_JOB_BATCH_SIZE)
+    .populate('user');
+
+  let sent = 0;
+  let skipped = 0;
+  for (const cart of carts) {
+    // claim it first - only one run (or server) gets to remind about this cart.
+    // timestamps off, so the reminder itself doesn't count as activity
+    const recoveryToken = cart.recoveryToken || crypto.randomBytes(24).toString('hex');
+    const { modifiedCount } = await Cart.updateOne(
+      { _id: cart._id, reminderSentAt: cart.reminderSentAt || null },
+      { reminderSentAt: now, recoveryToken },
+      { timestamps: false }
+    );
+    if (modifiedCount !== 1) continue;
+
+    // only what could still be bought - no point reminding about an empty or sold-out cart
+    const cartItems = await CartItem.find({ cart: cart._id }).populate('product');
+    const items = cartItems.flatMap((item) => {
+      const unit = item.product && !item.product.archived && resolveVariant(item.product, item.variant);
+      if (!unit || unit.stock === 0) return [];
+      return [{ name: item.product.name, options: unit.label, quantity: item.quantity, price: unit.price }];
+    });
+    const to = cart.user ? cart.user : cart.contact;
+    if (items.length === 0 || !to || !to.email) {
+      skipped += 1;
+      continue;
+    }
+
+    try {
+      await mailer.send({
+        to: to.email,
+        ...cartReminder({
+          name: to.name,
+          items,
+          subtotal: items.reduce((acc, item) => acc + (item.price * item.quantity), 0),
+          currency: STORE_CURRENCY,
+          restoreUrl: cartRestoreUrl(recoveryToken),
+        }),
+      });
+      sent += 1;
+    } catch (err) {
+      // give it back so the next run tries again
+      logger.error('Failed to send cart reminder.', { cartId: cart._id, err });
+      await Cart.updateOne(
+        { _id: cart._id, reminderSentAt: now },
+        cart.reminderSentAt ? { reminderSentAt: cart.reminderSentAt } : { $unset: { reminderSentAt: 1 } },
+        { timestamps: false }
+      );
+    }
+  }
+  return { checked: carts.length, sent, skipped };
+}
+
+async function expireStaleCarts(now = new Date()) {
+  const staleFilter = { user: null, updatedAt: { $lt: new Date(now - CART_EXPIRY_MS) } };
+  const stale = await Cart.find(staleFilter).select('_id').limit(CART_JOB_BATCH_SIZE);
+  if (stale.length === 0) return { expired: 0 };
+
+  // carts and their lines go together: one touched (or claimed at sign in)
+  // since we looked is left out, lines and all
+  let expired = 0;
+  await mongoose.connection.transaction(async (session) => {
+    const ids = (await Cart.find({ ...staleFilter, _id: { $in: stale.map(cart => cart._id) } }).select('_id').session(session))
+      .map(cart => cart._id);
+    await CartItem.deleteMany({ cart: { $in: ids } }, { session });
+    const result = await Cart.deleteMany({ ...staleFilter, _id: { $in: ids } }, { session });
+    expired = result.deletedCount;
+  });
+  return { expired };
+}
+
+function startCartJobs() {
+  if (!CART_JOBS_ENABLED) {
+    logger.info('Cart jobs are disabled (CART_JOBS_ENABLED=false).');
+    return;
+  }
+  scheduler.every('cart-reminders', CART_JOBS_INTERVAL_MS, sendCartReminders);
+  scheduler.every('cart-expiry', CART_JOBS_INTERVAL_MS, expireStaleCarts);
+  scheduler.start();
+}
+
+// --- Live Updates ---
+// Product and cart changes are pushed to the storefront over GET /api/events
+// (see events.js). They're read from MongoDB change streams, so every write
+// shows up - admin edits, checkouts, imports from the CLI, other servers -
+// without each route announcing it. Change streams need a replica set, like
+// checkout's transactions.
+const CHANGE_STREAM_RETRY_MS = 5000;
+const events = createEventStream();
+metrics.gauge('sse_clients', 'Open live update (Server-Sent Events) connections.', () => events.size);
+
+// follow a collection's changes, resuming where it left off if the stream
+// drops. Returns a function that stops following them
+function watchChanges(model, pipeline, options, onChange) {
+  let resumeAfter;
+  let stream = null;
+  let retryTimer = null;
+  let stopped = false;
+  const start = () => {
+    stream = model.watch(pipeline, { ...options, resumeAfter });
+    stream.on('change', (change) => {
+      resumeAfter = change._id;
+      onChange(change);
+    });
+    stream.on('error', (err) => {
+      if (stopped) return;
+      logger.warn('Change stream failed, restarting.', { model: model.modelName, err });
+      // too far behind to resume - start fresh, and have browsers reload what they show
+      if (err.code === 286) { // ChangeStreamHistoryLost
+        resumeAfter = undefined;
+        events.publish('resync', {});
+      }
+      stream.close().catch(() => {});
+      retryTimer = setTimeout(start, CHANGE_STREAM_RETRY_MS);
+      retryTimer.unref();
+    });
+  };
+  start();
+
+  return () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    stream.close().catch(() => {});
+  };
+}
+
+let stopWatching = [];
+
+function startLiveUpdates() {
+  // the whole product, same as GET /api/products/:id
+  const products = watchChanges(Product, [{ $match: { operationType: { $in: ['insert', 'update', 'replace'] } } }],
+    { fullDocument: 'updateLookup' },
+    (change) => {
+      if (change.fullDocument) events.publish('product', change.fullDocument);
+    });
+
+  // every cart change bumps its version (see touchCart). Only the version goes
+  // out - the stream isn't signed in, the page fetches the cart itself
+  const carts = watchChanges(Cart, [{ $match: { operationType: 'update', 'updateDescription.updatedFields.version': { $exists: true } } }],
+    {},
+    (change) => {
+      const { version } = change.updateDescription.updatedFields;
+      events.publish('cart', { version }, { cart: change.documentKey._id.toString() });
+    });
+
+  stopWatching = [products, carts];
+}
+
+function stopLiveUpdates() {
+  stopWatching.forEach(stop => stop());
+  stopWatching = [];
+}
+
+// --- Reviews ---
+const REVIEW_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+};
+const REVIEWS_PAGE_SIZE = 10;
+const MAX_REVIEWS_PAGE_SIZE = 50;
+
+// recount a product's rating from its visible reviews. Recomputed rather
+// than adjusted, so it can't drift when reviews are hidden/shown
+async function refreshProductRating(productId) {
+  const [stats] = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), hidden: false } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+  const rating = stats
+    ? { average: Math.round(stats.average * 10) / 10, count: stats.count }
+    : { average: 0, count: 0 };
+  await Product.updateOne({ _id: productId }, { rating });
+  return rating;
+}
+
+// verified purchase = a paid order for this product under that email
+// (one that's since shipped or been delivered still counts)
+async function hasPurchased(email, productId) {
+  return Boolean(await Order.exists({
+    'customer.email': email,
+    'items.product': productId,
+    status: { $in: SALE_STATUSES }
+  }));
+}
+
+// --- Checkout ---
+// POST /api/checkout takes an Idempotency-Key header (the frontend sends one
+// per checkout attempt). The first request with a key claims it and its
+// result is stored; a replay with the same body gets that result back instead
+// of placing a second order. Keys are per cart and kept for a day.
+const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// claim `key` for this checkout. returns the stored { status, body } if it
+// already ran, or null if this request should go ahead
+async function claimIdempotencyKey(cart, key, body) {
+  if (key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+    throw badRequest(`${IDEMPOTENCY_KEY_HEADER} must be at most ${IDEMPOTENCY_KEY_MAX_LENGTH} characters.`);
+  }
+  const requestHash = crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
 
   try {
-    // get cart contents for final total
-    const cartItems = await CartItem.find({}).populate('product');
-    const total = cartItems.reduce((acc, item) => {
-      if (item.product) {
-        return acc + (item.product.price * item.quantity);
+    await IdempotencyKey.create({
+      key,
+      cart: cart._id,
+      requestHash,
+      expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_MS)
+    });
+    return null;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  // seen this key before
+  const existing = await IdempotencyKey.findOne({ key, cart: cart._id });
+  if (existing && existing.requestHash !== requestHash) {
+    throw new ApiError(422, 'IDEMPOTENCY_KEY_REUSED', 'That Idempotency-Key was already used for a different checkout.');
+  }
+  if (!existing || existing.response.status == null) {
+    throw conflict('CHECKOUT_IN_PROGRESS', 'This checkout is already being processed.');
+  }
+  return existing.response;
+}
+
+// the checkout itself. Reading the cart, reserving stock, counting the coupon
+// and creating the order happen in one transaction, so a failure part way
+// leaves nothing behind and the order is a snapshot of exactly the lines it
+// was priced from. Payment runs after that.
+// returns { status, body } when an order was placed (paid, processing or
+// declined) and throws when nothing was ordered
+async function placeOrder(req) {
+  const { customer, address, shippingMethod, paymentMethod } = req.valid.body;
+
+  let order;
+  await mongoose.connection.transaction(async (session) => {
+    const cart = await Cart.findById(req.cart._id).session(session);
+    const cartItems = await CartItem.find({ cart: cart._id }).session(session).populate('product');
+    // skip lines whose product was deleted
+    const purchasable = cartItems.filter(item => item.product);
+
+    if (purchasable.length === 0) {
+      throw new ApiError(400, 'CART_EMPTY', 'Cart is empty.');
+    }
+
+    // reserve stock (see reserveStock) - lines whose variant is gone can't be bought
+    const stockErrors = [];
+    for (const item of purchasable) {
+      const unit = resolveVariant(item.product, item.variant);
+      const line = { productId: item.product._id, variantId: unit && unit.variant ? unit.variant._id : null, quantity: item.quantity };
+
+      if (!unit || !(await reserveStock(line, session))) {
+        const current = await Product.findById(item.product._id).session(session);
+        const currentUnit = current && !current.archived && resolveVariant(current, item.variant);
+        stockErrors.push({
+          productId: item.product._id.toString(),
+          variantId: item.variant ? item.variant.toString() : null,
+          name: lineDisplayName(item.product, unit),
+          requested: item.quantity,
+          available: currentUnit ? currentUnit.stock : 0
+        });
       }
-      return acc;
-    }, 0);
+    }
 
-    // ! - clear cart after checkout
-    await CartItem.deleteMany({});
+    // any line oversold? throwing rolls back what was reserved
+    if (stockErrors.length > 0) {
+      throw conflict('OUT_OF_STOCK', 'Some items in your cart are no longer available in the requested quantity.', stockErrors);
+    }
 
-    // send back a receipt
-    res.json({
-      success: true,
-      message: 'Checkout successful! Thank you for your order.',
-      order: {
-        items: cartItems.map(item => ({
-          name: item.product ? item.product.name : 'Unknown Item',
-          quantity: item.quantity,
-          price: item.product ? item.product.price : 0
-        })),
-        total: parseFloat(total.toFixed(2)),
-        orderId: new mongoose.Types.ObjectId().toString(), // fake order ID
-        timestamp: new Date().toISOString()
+    const coupon = cart.coupon ? await Coupon.findById(cart.coupon).session(session) : null;
+    const summary = priceCart(toPricingLines(purchasable), coupon, { address, shippingMethod });
+
+    // count the coupon use - only matches while it's still under its limit
+    const usedCoupon = summary.coupon && summary.coupon.applied ? summary.coupon : null;
+    if (usedCoupon) {
+      const { modifiedCount } = await Coupon.updateOne(
+        {
+          _id: usedCoupon.id,
+          $or: [
+            { usageLimit: null },
+            { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+          ]
+        },
+        { $inc: { usedCount: 1 } },
+        { session }
+      );
+      if (modifiedCount !== 1) {
+        throw conflict('COUPON_LIMIT_REACHED', `The code ${usedCoupon.code} has reached its usage limit. Remove it and try again.`);
       }
+    }
+
+    [order] = await Order.create([{
+      items: purchasable.map((item) => {
+        const unit = resolveVariant(item.product, item.variant);
+        return {
+          product: item.product._id,
+          variant: item.variant || undefined,
+          sku: unit.sku || undefined,
+          name: item.product.name,
+          options: unit.label || undefined,
+          price: unit.price,
+          quantity: item.quantity
+        };
+      }),
+      customer,
+      subtotal: summary.subtotal,
+      discounts: summary.discounts,
+      discountTotal: summary.discountTotal,
+      shippingAddress: address,
+      shipping: summary.shipping,
+      tax: summary.tax,
+      total: summary.total,
+      cart: cart._id,
+      user: req.user ? req.user._id : undefined,
+      coupon: usedCoupon ? usedCoupon.id : undefined,
+      accessToken: newOrderAccessToken()
+    }], { session });
+  });
+
+  // remember the address for next time. Guests' carts remember who they are,
+  // so we can send a reminder if the payment doesn't go through and they leave
+  if (req.user) {
+    req.user.address = address;
+    await req.user.save();
+  } else {
+    await Cart.updateOne({ _id: req.cart._id }, { contact: { name: customer.name, email: customer.email } });
+  }
+
+  // take payment. markOrderFailed gives back the stock/coupon if it doesn't go through
+  let payment;
+  try {
+    const intent = await paymentProvider.createIntent({
+      amount: order.total,
+      currency: order.currency,
+      metadata: { orderId: order._id.toString() }
     });
+    order.payment = { provider: paymentProvider.name, intentId: intent.id, status: intent.status };
+    await order.save();
 
+    payment = await paymentProvider.confirmIntent(intent.id, { paymentMethod });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Server error during checkout.' });
+    await markOrderFailed(order, 'Payment could not be processed.');
+    throw err;
   }
-});
 
+  if (payment.status === 'succeeded') {
+    order = await markOrderPaid(order);
+    return {
+      status: 201,
+      body: { success: true, message: 'Checkout successful! Thank you for your order.', order: formatOrder(order, { withAccessToken: true }) }
+    };
+  }
 
-// --- Start Server ---
-app.listen(PORT, () => {
-  console.log(`Backend server running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+  if (payment.status === 'failed') {
+    order = await markOrderFailed(order, payment.failureReason);
+    // same shape errorHandler sends, but stored with the key like any other result
+    return {
+      status: 402,
+      body: {
+        error: {
+          code: 'PAYMENT_DECLINED',
+          message: payment.failureReason || 'Payment failed.',
+          details: { order: formatOrder(order, { withAccessToken: true }) }
+        }
+      }
+    };
+  }
+
+  // 'processing' - the provider's webhook will settle it, the frontend polls the order
+  await Order.updateOne(
+    { _id: order._id, status: 'pending_payment' },
+    { 'payment.status': payment.status }
+  );
+  order.payment.status = payment.status;
+  return {
+    status: 202,
+    body: {
+      success: true,
+      pending: true,
+      message: 'Payment is processing. Your order will be confirmed shortly.',
+      order: formatOrder(order, { withAccessToken: true })
+    }
+  };
+}
+
+// --- Admin Auth Middleware ---
+// Admin routes need the X-Admin-Key header to match ADMIN_API_KEY from .env
+const ADMIN_API_KEY = config.adminApiKey;
+
+if (!ADMIN_API_KEY) {
+  logger.warn('ADMIN_API_KEY is not set. Admin endpoints are disabled.');
+}
+
+// constant-time compare so secrets can't be guessed char by char
+function secretsMatch(given, expected) {
+  const a = Buffer.from(given || '');
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// whether the request carries the admin key (for routes that admins and others share)
+function isAdmin(req) {
+  return Boolean(ADMIN_API_KEY) && secretsMatch(req.get('X-Admin-Key'), ADMIN_API_KEY);
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    return next(new ApiError(503, 'SERVICE_UNAVAILABLE', 'Admin API is disabled. Set ADMIN_API_KEY to enable it.'));
+  }
+  if (!isAdmin(req)) {
+    return next(unauthorized('Admin credentials required.'));
+  }
+
+  next();
+}
+
+// --- Catalog Query ---
+const PRODUCT_SORTS = {
+  featured: { _id: 1 }, // insertion order
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  newest: { _id: -1 }, // ObjectIds are time-ordered
+  name: { name: 1, _id: 1 },
+};
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+
+// make user input safe to drop into a RegExp
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// turn the validated GET /api/products query (schemas.catalogQuery)
+// into a mongo filter/sort/page
+function parseCatalogQuery(query) {
+  const filter = { archived: { $ne: true } };
+
+  // text search on name/description (case-insensitive substring)
+  if (query.q) {
+    const pattern = new RegExp(escapeRegex(query.q), 'i');
+    filter.$or = [{ name: pattern }, { description: pattern }];
+  }
+
+  if (query.category) {
+    filter.category = query.category;
+  }
+
+  // prices in cents, like everywhere else
+  if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+    filter.price = {};
+    if (query.minPrice !== undefined) filter.price.$gte = query.minPrice;
+    if (query.maxPrice !== undefined) filter.price.$lte = query.maxPrice;
+  }
+
+  const page = query.page || 1;
+  const limit = Math.min(query.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  return { filter, sort: PRODUCT_SORTS[query.sort], page, limit };
+}
+
+// --- Categories ---
+// see catalog/category.js. The tree is small, so it's read in one go
+
+// every category and collection, with lookups by id and by parent
+async function loadCategories() {
+  const all = await Category.find({}).sort({ position: 1, name: 1 }).lean();
+  const byId = new Map(all.map(category => [category._id.toString(), category]));
+  const children = new Map(); // parent id ('' = top level) -> its categories
+  all.filter(category => category.type === 'category').forEach((category) => {
+    const key = category.parent ? category.parent.toString() : '';
+    children.set(key, [...(children.get(key) || []), category]);
+  });
+  return { all, byId, children, childrenOf: category => children.get(category._id.toString()) || [] };
+}
+
+// ids of a category and everything under it
+function subtreeIds(tree, category) {
+  const ids = new Map();
+  const visit = (node) => {
+    if (ids.has(node._id.toString())) return;
+    ids.set(node._id.toString(), node._id);
+    tree.childrenOf(node).forEach(visit);
+  };
+  visit(category);
+  return [...ids.values()];
+}
+
+// [{ name, slug }] from the top level down to `category`
+function categoryBreadcrumbs(tree, category) {
+  const trail = [];
+  const seen = new Set();
+  for (let node = category; node && !seen.has(node._id.toString()); node = node.parent && tree.byId.get(node.parent.toString())) {
+    seen.add(node._id.toString());
+    trail.unshift({ name: node.name, slug: node.slug });
+  }
+  return trail;
+}
+
+// a category's parent has to be another category, and not one inside it
+// (that would make a loop). Collections don't nest
+async function checkCategoryParent(category) {
+  if (!category.parent) return;
+  const invalid = message => badRequest(message, [{ field: 'parent', message }]);
+  if (category.type === 'collection') {
+    throw invalid("Collections can't have a parent.");
+  }
+
+  const tree = await loadCategories();
+  const parent = tree.byId.get(category.parent.toString());
+  if (!parent || parent.type !== 'category') {
+    throw invalid('Parent category not found.');
+  }
+  const current = category._id && tree.byId.get(category._id.toString());
+  if (current && subtreeIds(tree, current).some(id => id.equals(parent._id))) {
+    throw invalid("A category can't go inside itself.");
+  }
+}
+
+// --- API Endpoints ---
+
+// every route can see who's signed in (req.user), if anyone
+app.use(authenticate);
+
+// GET /api/events ?cart=<cart token> - live product and cart updates (Server-Sent
+// Events, see the Live Updates section). EventSource can't send headers, so the
+// cart token comes in the query
+app.get('/api/events', validate({ query: schemas.eventsQuery }), async (req, res) => {
+  const { cart: token, lastEventId } = req.valid.query;
+  const cart = token ? await Cart.findOne({ token }).select('_id') : null;
+  events.connect(req, res, {
+    cart: cart ? cart._id.toString() : null,
+    // EventSource sends Last-Event-ID when it reconnects by itself
+    lastEventId: req.get('Last-Event-ID') || lastEventId || null,
+  });
+});
+
+// GET /api/products - search/filter/sort the catalog, one page at a time
+// ?q=&category=&minPrice=&maxPrice=&sort=&page=&limit=
+app.get('/api/products', validate({ query: schemas.catalogQuery }), async (req, res) => {
+  const { filter, sort, page, limit } = parseCatalogQuery(req.valid.query);
+
+  const [products, total, categories] = await Promise.all([
+    Product.find(filter).sort(sort).skip((page - 1) * limit).limit(limit),
+    Product.countDocuments(filter),
+    // every category in the live catalog, for the filter dropdown
+    Product.distinct('category', { archived: { $ne: true } })
+  ]);
+
+  res.json({
+    products,
+    total,
+    page,
+    limit,
+    hasMore: page * limit < total,
+    categories: categories.sort()
+  });
+});
+
+// GET /api/products/:id - one product for its page, with an image gallery and
+// related products. Archived products still load (old carts/orders link here)
+// but aren't suggested as related.
+const RELATED_PRODUCTS_LIMIT = 4;
+
+app.get('/api/products/:id', validate({ params: schemas.idParams }), async (req, res) => {
+  const product = await Product.findById(req.valid.params.id);
+  if (!product) {
+    throw notFound('Product not found.');
+  }
+
+  // main image, extra shots, then any variant-specific images
+  const gallery = [...new Set([
+    product.image,
+    ...product.images,
+    ...product.variants.map(variant => variant.image).filter(Boolean)
+  ])];
+
+  // same category first, topped up from the rest of the catalog
+  const live = { _id: { $ne: product._id }, archived: { $ne: true } };
+  const related = await Product.find({ ...live, category: product.category })
+    .sort(PRODUCT_SORTS.featured)
+    .limit(RELATED_PRODUCTS_LIMIT);
+  if (related.length < RELATED_PRODUCTS_LIMIT) {
+    const more = await Product.find({ ...live, category: { $ne: product.category } })
+      .sort(PRODUCT_SORTS.featured)
+      .limit(RELATED_PRODUCTS_LIMIT - related.length);
+    related.push(...more);
+  }
+
+  // where it sits in the menu - the trail to its first category
+  const tree = await loadCategories();
+  const home = product.categories
+    .map(id => tree.byId.get(id.toString()))
+    .find(category => category && category.type === 'category');
+
+  res.json({ ...product.toJSON(), gallery, related, breadcrumbs: home ? categoryBreadcrumbs(tree, home) : [] });
+});
+
+// GET /api/categories - the category tree and the collections, for the store menu.
+// productCount includes products in subcategories, archived ones left out
+app.get('/api/categories', async (req, res) => {
+  const tree = await loadCategories();
+  // live products counted in the database, one $facet per category (its whole
+  // subtree - a product in both a category and its parent counts once) and
+  // per collection
+  const facets = Object.fromEntries(tree.all.map(category => [
+    category._id.toString(),
+    [
+      { $match: category.type === 'collection' ? { _id: { $in: category.products } } : { categories: { $in: subtreeIds(tree, category) } } },
+      { $count: 'count' },
+    ],
+  ]));
+  const [counts = {}] = tree.all.length > 0
+    ? await Product.aggregate([
+      { $match: { archived: { $ne: true } } },
+      { $project: { categories: 1 } },
+      { $facet: facets },
+    ])
+    : [];
+  const productCount = ([result] = []) => (result ? result.count : 0);
+
+  const summary = category => ({ _id: category._id, name: category.name, slug: category.slug, description: category.description });
+  const branch = category => ({
+    ...summary(category),
+    productCount: productCount(counts[category._id.toString()]),
+    children: tree.childrenOf(category).map(branch),
+  });
+
+  res.json({
+    categories: (tree.children.get('') || []).map(branch),
+    collections: tree.all
+      .filter(category => category.type === 'collection')
+      .map(collection => ({
+        ...summary(collection),
+        productCount: productCount(counts[collection._id.toString()]),
+      })),
+  });
+});
+
+// GET /api/categories/:slug/products - a category's products (subcategories
+// included) or a collection's, one page at a time. Takes the same
+// ?q=&minPrice=&maxPrice=&sort=&page=&limit= as /api/products; collections
+// keep their hand-picked order unless another sort is asked for
+app.get('/api/categories/:slug/products',
+  validate({ params: schemas.slugParams, query: schemas.catalogQuery }),
+  async (req, res) => {
+    const tree = await loadCategories();
+    const category = tree.all.find(c => c.slug === req.valid.params.slug);
+    if (!category) {
+      throw notFound('Category not found.');
+    }
+
+    const { filter, sort, page, limit } = parseCatalogQuery(req.valid.query);
+    let products;
+    let total;
+    if (category.type === 'collection') {
+      filter._id = { $in: category.products };
+      if (req.valid.query.sort === 'featured') {
+        const position = new Map(category.products.map((id, index) => [id.toString(), index]));
+        const all = (await Product.find(filter))
+          .sort((a, b) => position.get(a._id.toString()) - position.get(b._id.toString()));
+        total = all.length;
+        products = all.slice((page - 1) * limit, page * limit);
+      }
+    } else {
+      filter.categories = { $in: subtreeIds(tree, category) };
+    }
+
+    if (!products) {
+      [products, total] = await Promise.all([
+        Product.find(filter).sort(sort).skip((page - 1) * limit).limit(limit),
+        Product.countDocuments(filter)
+      ]);
+    }
+
+    res.json({
+      category: {
+        _id: category._id,
+        name: category.name,
+        slug: category.slug,
+        description: category.description,
+        type: category.type,
+        breadcrumbs: categoryBreadcrumbs(tree, category),
+        children: tree.childrenOf(category).map(child => ({ name: child.name, slug: child.slug })),
+      },
+      products,
+      total,
+      page,
+      limit,
+      hasMore: page * limit < total
+    });
+  }
+);
+
+// GET /api/admin/categories - every category and collection, flat (admin)
+app.get('/api/admin/categories', requireAdmin, async (req, res) => {
+  res.json(await Category.find({}).sort({ type: 1, position: 1, name: 1 }));
+});
+
+// POST /api/admin/categories - add a category or collection (admin)
+// body: { name, slug, description, type, parent, position, products }
+app.post('/api/admin/categories', requireAdmin, validate({ body: schemas.categoryBody }), async (req, res) => {
+  const category = new Category(req.valid.body);
+  if (category.type === 'category' && category.products.length > 0) {
+    throw badRequest('Only collections list their products.', [{ field: 'products', message: 'Collections only' }]);
+  }
+  await checkCategoryParent(category);
+  await category.save();
+  res.status(201).json(category);
+});
+
+// PATCH /api/admin/categories/:id - rename, move, reorder (admin).
+// For a collection, `products` is the new list, in order
+app.patch('/api/admin/categories/:id', requireAdmin,
+  validate({ params: schemas.idParams, body: schemas.categoryPatch }),
+  async (req, res) => {
+    const category = await Category.findById(req.valid.params.id);
+    if (!category) {
+      throw notFound('Category not found.');
+    }
+
+    category.set(req.valid.body);
+    if (category.type === 'category' && category.products.length > 0) {
+      throw badRequest('Only collections list their products.', [{ field: 'products', message: 'Collections only' }]);
+    }
+    if (category.type === 'collection' && await Category.exists({ parent: category._id })) {
+      throw conflict('CATEGORY_HAS_CHILDREN', `${category.name} still has subcategories. Move them before making it a collection.`);
+    }
+    await checkCategoryParent(category);
+    await category.save();
+    res.json(category);
+  }
+);
+
+// DELETE /api/admin/categories/:id - remove a category or collection (admin).
+// Products stay, just not listed under it. Empty or move its subcategories first
+app.delete('/api/admin/categories/:id', requireAdmin, validate({ params: schemas.idParams }), async (req, res) => {
+  const category = await Category.findById(req.valid.params.id);
+  if (!category) {
+    throw notFound('Category not found.');
+  }
+  if (await Category.exists({ parent: category._id })) {
+    throw conflict('CATEGORY_HAS_CHILDREN', `${category.name} still has subcategories. Move or delete them first.`);
+  }
+
+  await Product.updateMany({ categories: category._id }, { $pull: { categories: category._id } });
+  await category.deleteOne();
+  res.json({ message: 'Category deleted.', category });
+});
+
+// GET /api/admin/products - full catalog for the admin screen, archived included
+app.get('/api/admin/products', requireAdmin, async (req, res) => {
+  const products = await Product.find({}).sort({ archived: 1, name: 1 });
+  res.json(products);
+});
+
+// POST /api/admin/products/import - create/update products in bulk, matched on SKU (admin)
+// body: the file itself, CSV (Content-Type: text/csv) or JSON - see catalog/index.js
+// ?dryRun=true checks every row and reports what would change without saving
+app.post(CATALOG_IMPORT_PATH, requireAdmin, validate({ query: schemas.catalogImportQuery }), async (req, res) => {
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    throw badRequest('Send the catalog file as the request body, as text/csv or application/json.');
+  }
+  const format = req.valid.query.format || (req.is('text/csv') ? 'csv' : 'json');
+  res.json(await importCatalog(req.body, { format, dryRun: req.valid.query.dryRun }));
+});
+
+// GET /api/admin/products/export ?format=csv|json - every product with an SKU, as a file
+// import reads (admin). X-Skipped-Products says how many were left out for having none
+app.get('/api/admin/products/export', requireAdmin, validate({ query: schemas.catalogExportQuery }), async (req, res) => {
+  const { format } = req.valid.query;
+  const { catalog, skipped } = await exportCatalog(format);
+  if (skipped > 0) {
+    req.log.warn('Products without an SKU were left out of the catalog export.', { skipped });
+  }
+  res.set('X-Skipped-Products', String(skipped));
+  res.attachment(`products.${format}`);
+  if (format === 'csv') {
+    res.type('text/csv').send(catalog);
+  } else {
+    res.json(catalog);
+  }
+});
+
+// validated product body -> update doc. Archiving stamps archivedAt.
+function productUpdate(fields) {
+  if (fields.archived === undefined) return fields;
+  return { ...fields, archivedAt: fields.archived ? new Date() : null };
+}
+
+// POST /api/products - create a product (admin)
+app.post('/api/products', requireAdmin, validate({ body: schemas.productBody }), async (req, res) => {
+  const product = await Product.create(productUpdate(req.valid.body));
+  res.status(201).json(product);
+});
+
+// PUT/PATCH /api/products/:id - replace or partially update a product (admin)
+async function updateProduct(req, res) {
+  const product = await Product.findByIdAndUpdate(
+    req.valid.params.id,
+    productUpdate(req.valid.body),
+    { new: true, runValidators: true }
+  );
+
+  if (!product) {
+    throw notFound('Product not found.');
+  }
+
+  res.json(product);
+}
+
+app.put('/api/products/:id', requireAdmin,
+  validate({ params: schemas.idParams, body: schemas.productBody }), updateProduct);
+app.patch('/api/products/:id', requireAdmin,
+  validate({ params: schemas.idParams, body: schemas.productPatch }), updateProduct);
+
+// DELETE /api/products/:id - archive (soft-delete) a product (admin)
+// restore it again with PATCH { archived: false }
+app.delete('/api/products/:id', requireAdmin, validate({ params: schemas.idParams }), async (req, res) => {
+  const product = await Product.findByIdAndUpdate(
+    req.valid.params.id,
+    { archived: true, archivedAt: new Date() },
+    { new: true }
+  );
+
+  if (!product) {
+    throw notFound('Product not found.');
+  }
+
+  res.json({ message: 'Product archived.', product });
+});
+
+// POST /api/products/:id/images - upload a photo (admin): multipart/form-data
+// with the file in `image` (see media/images.js). It joins the gallery, or
+// becomes the main image with ?primary=true or when it's the first upload -
+// the old main image moves into the gallery. Responds with the product
+app.post('/api/products/:id/images', requireAdmin,
+  validate({ params: schemas.idParams, query: schemas.imageUploadQuery }),
+  imageUpload,
+  async (req, res) => {
+    if (!req.file) {
+      throw badRequest('Send the image as the "image" field of a multipart/form-data body.', [{ field: 'image', message: 'Required' }]);
+    }
+    const product = await Product.findById(req.valid.params.id);
+    if (!product) {
+      throw notFound('Product not found.');
+    }
+
+    const processed = await processImage(req.file.buffer);
+    const photoId = new mongoose.Types.ObjectId();
+    const photo = { _id: photoId, ...await storeImage(storage, `products/${product._id}/${photoId}`, processed) };
+    const url = photoUrl(photo);
+
+    const primary = req.valid.query.primary || product.photos.length === 0;
+    const update = primary
+      ? {
+        $set: { image: url },
+        $push: {
+          photos: photo,
+          images: { $each: product.images.includes(product.image) ? [] : [product.image], $position: 0 },
+        },
+      }
+      : { $push: { photos: photo, images: url } };
+
+    let updated;
+    try {
+      updated = await Product.findByIdAndUpdate(product._id, update, { new: true, runValidators: true });
+    } catch (err) {
+      await removeImage(storage, photo);
+      throw err;
+    }
+    if (!updated) {
+      await removeImage(storage, photo);
+      throw notFound('Product not found.');
+    }
+    res.status(201).json(updated);
+  }
+);
+
+// DELETE /api/products/:id/images/:imageId - delete an uploaded photo and its
+// files (admin). If it was the main image, the first gallery image takes over -
+// so the product's last image can't go. Orders placed with it show a placeholder
+app.delete('/api/products/:id/images/:imageId', requireAdmin,
+  validate({ params: schemas.productImageParams }),
+  async (req, res) => {
+    const product = await Product.findById(req.valid.params.id);
+    if (!product) {
+      throw notFound('Product not found.');
+    }
+    const photo = product.photos.id(req.valid.params.imageId);
+    if (!photo) {
+      throw notFound('Image not found.');
+    }
+
+    const urls = new Set([photo.original.url, ...photo.sizes.map(size => size.url)]);
+    const images = product.images.filter(url => !urls.has(url));
+    if (urls.has(product.image)) {
+      if (images.length === 0) {
+        throw conflict('IMAGE_REQUIRED', "That's the product's only image. Upload another one first.");
+      }
+      product.image = images.shift();
+    }
+    product.images = images;
+    product.variants.forEach((variant) => {
+      if (urls.has(variant.image)) variant.image = undefined; // back to the product's image
+    });
+    product.photos.pull(photo._id);
+    await product.save();
+
+    // the product no longer points at them, so a leftover file does no harm
+    removeImage(storage, photo).catch(err => req.log.error('Failed to delete image files.', { imageId: photo._id, err }));
+    res.json(product);
+  }
+);
+
+// GET /api/products/:id/reviews - visible reviews, one page at a time
+// ?sort=newest|highest|lowest&page=&limit=
+app.get('/api/products/:id/reviews',
+  validate({ params: schemas.idParams, query: schemas.reviewsQuery }),
+  async (req, res) => {
+    const product = await Product.findById(req.valid.params.id);
+    if (!product) {
+      throw notFound('Product not found.');
+    }
+
+    const { sort } = req.valid.query;
+    const page = req.valid.query.page || 1;
+    const limit = Math.min(req.valid.query.limit || REVIEWS_PAGE_SIZE, MAX_REVIEWS_PAGE_SIZE);
+    const filter = { product: product._id, hidden: false };
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter).sort(REVIEW_SORTS[sort]).skip((page - 1) * limit).limit(limit),
+      Review.countDocuments(filter)
+    ]);
+
+    res.json({
+      reviews: reviews.map(review => review.toPublicJSON()),
+      total,
+      page,
+      limit,
+      hasMore: page * limit < total,
+      rating: product.rating
+    });
+  }
+);
+
+// POST /api/products/:id/reviews - body: { rating, title, body, name, email }
+// signed-in customers review as themselves, guests give a name and email.
+// Guests are told apart by their cart, and their reviews are never verified
+// purchases - anyone could type a customer's email
+app.post('/api/products/:id/reviews',
+  validate({ params: schemas.idParams, body: schemas.reviewBody }),
+  resolveCart,
+  async (req, res) => {
+    const { rating, title, body } = req.valid.body;
+    const author = req.user
+      ? { name: req.user.name, email: req.user.email }
+      : { name: req.valid.body.name, email: req.valid.body.email };
+
+    if (!author.name || !author.email) {
+      throw badRequest('Some fields are invalid.', [
+        ...(author.name ? [] : [{ field: 'name', message: 'Required' }]),
+        ...(author.email ? [] : [{ field: 'email', message: 'Required' }])
+      ]);
+    }
+
+    const product = await Product.findById(req.valid.params.id);
+    if (!product) {
+      throw notFound('Product not found.');
+    }
+    if (product.archived) {
+      throw conflict('PRODUCT_UNAVAILABLE', `${product.name} is no longer available.`);
+    }
+
+    let review;
+    try {
+      review = await Review.create({
+        product: product._id,
+        rating,
+        title,
+        body,
+        author,
+        user: req.user ? req.user._id : undefined,
+        guestCart: req.user ? undefined : req.cart._id,
+        verifiedPurchase: req.user ? await hasPurchased(req.user.email, product._id) : false
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      throw conflict('ALREADY_REVIEWED', `You've already reviewed ${product.name}.`);
+    }
+
+    res.status(201).json({
+      review: review.toPublicJSON(),
+      rating: await refreshProductRating(product._id)
+    });
+  }
+);
+
+// GET /api/admin/reviews - newest reviews for moderation, hidden ones included (admin)
+// ?product=&hidden=true|false&page=
+app.get('/api/admin/reviews', requireAdmin, validate({ query: schemas.adminReviewsQuery }), async (req, res) => {
+  const { product, hidden } = req.valid.query;
+  const page = req.valid.query.page || 1;
+  const filter = {};
+  if (product) filter.product = product;
+  if (hidden !== undefined) filter.hidden = hidden;
+
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .sort(REVIEW_SORTS.newest)
+      .skip((page - 1) * MAX_REVIEWS_PAGE_SIZE)
+      .limit(MAX_REVIEWS_PAGE_SIZE)
+      .populate('product', 'name'),
+    Review.countDocuments(filter)
+  ]);
+
+  res.json({
+    reviews,
+    total,
+    page,
+    limit: MAX_REVIEWS_PAGE_SIZE,
+    hasMore: page * MAX_REVIEWS_PAGE_SIZE < total
+  });
+});
+
+// PATCH /api/admin/reviews/:id - hide or show a review (admin). body: { hidden }
+app.patch('/api/admin/reviews/:id', requireAdmin,
+  validate({ params: schemas.idParams, body: schemas.reviewModeration }),
+  async (req, res) => {
+    const review = await Review.findByIdAndUpdate(
+      req.valid.params.id,
+      { hidden: req.valid.body.hidden },
+      { new: true }
+    );
+    if (!review) {
+      throw notFound('Review not found.');
+    }
+
+    await refreshProductRating(review.product);
+    res.json(await review.populate('product', 'name'));
+  }
+);
+
+// GET /api/cart - get all cart items + total
+app.get('/api/cart', resolveCart, async (req, res) => {
+  res.json(await cartPayload(req.cart));
+});
+
+// GET /api/cart/restore/:token - follow the link in an abandoned-cart reminder.
+// A guest cart becomes the caller's cart again (merged into theirs if signed in);
+// a customer's cart needs them signed in as themselves
+app.get('/api/cart/restore/:token', validate({ params: schemas.cartRestoreParams }), async (req, res) => {
+  const saved = await Cart.findOne({ recoveryToken: req.valid.params.token });
+  if (!saved || (saved.user && req.user && !saved.user.equals(req.user._id))) {
+    throw notFound('This cart link has expired.');
+  }
+  if (saved.user && !req.user) {
+    throw unauthorized('Sign in to get your cart back.');
+  }
+
+  let cart = saved;
+  if (req.user && !saved.user) {
+    await mergeGuestCart(saved.token, req.user);
+    cart = await Cart.findOne({ user: req.user._id });
+  }
+
+  // not a change to the cart, so it doesn't reset the idle clock
+  await Cart.updateOne({ _id: cart._id }, { restoredAt: new Date() }, { timestamps: false });
+  res.set(CART_TOKEN_HEADER, cart.token);
+  res.json(await cartPayload(cart));
+});
+
+// POST /api/cart/coupon - apply a discount code, or remove it with { code: null }
+app.post('/api/cart/coupon', validate({ body: schemas.couponBody }), resolveCart, async (req, res) => {
+  const { code } = req.valid.body;
+  const cartItems = await CartItem.find({ cart: req.cart._id }).populate('product');
+
+  if (!code) {
+    // no code - remove whatever is applied
+    req.cart.coupon = undefined;
+  } else {
+    const coupon = await Coupon.findOne({ code });
+    if (!coupon) {
+      throw notFound('That code is not valid.');
+    }
+
+    // only accept codes that do something for this cart right now
+    const result = evaluateCoupon(coupon, toPricingLines(cartItems));
+    if (!result.applied) {
+      throw new ApiError(400, 'COUPON_NOT_APPLICABLE', result.reason);
+    }
+
+    req.cart.coupon = coupon._id;
+  }
+
+  await req.cart.save();
+
+  res.json(await cartPayload(await touchCart(req.cart)));
+});
+
+
+// POST /api/cart - add to the cart. Adds `quantity` to the product+variant's
+// line (creating it), so repeated clicks add up instead of racing.
+// body: { productId, variantId, quantity } - variantId is required for products with variants
+app.post('/api/cart', validate({ body: schemas.addToCartBody }), resolveCart, async (req, res) => {
+  const { productId, variantId, quantity } = req.valid.body;
+
+  // check product exists and there's enough stock
+  const product = await Product.findById(productId);
+  if (!product) {
+    throw notFound('Product not found.');
+  }
+  if (product.archived) {
+    throw conflict('PRODUCT_UNAVAILABLE', `${product.name} is no longer available.`, { available: 0 });
+  }
+
+  const unit = resolveVariant(product, variantId);
+  if (!unit) {
+    throw badRequest(variantId
+      ? `That option of ${product.name} is no longer available.`
+      : `Choose a ${VARIANT_OPTIONS.filter(o => product.variants.some(v => v[o])).join(' and ')} for ${product.name}.`);
+  }
+
+  // different sizes/colors are separate lines
+  const line = await addToCartLine(req.cart, product._id, variantId, quantity, unit.stock);
+  if (!line) {
+    throw conflict('OUT_OF_STOCK', outOfStockMessage(product, unit), {
+      available: unit.stock,
+      cart: await cartPayload(req.cart)
+    });
+  }
+
+  cartAdds.inc();
+  cartAddedUnits.inc({}, quantity);
+  res.status(201).json(await cartPayload(await touchCart(req.cart)));
+});
+
+// PATCH /api/cart/items/:id - change a line's quantity
+// body: { increment: n } | { decrement: n } | { quantity: n, version }
+// increment/decrement are relative, so they're safe to send back to back.
+// Setting an absolute quantity needs the cart `version` the client last saw,
+// and gets a 409 CART_CONFLICT (with the current cart) if it changed since.
+// Decrementing to 0 removes the line. Responds with the full cart.
+app.patch('/api/cart/items/:id',
+  validate({ params: schemas.idParams, body: schemas.cartItemPatch }),
+  resolveCart,
+  async (req, res) => {
+    const { id } = req.valid.params;
+    const { increment, decrement, quantity, version } = req.valid.body;
+
+    const item = await CartItem.findOne({ _id: id, cart: req.cart._id }).populate('product');
+    if (!item) {
+      throw notFound('Cart item not found.');
+    }
+
+    const unit = item.product && resolveVariant(item.product, item.variant);
+    const adding = increment || (quantity !== undefined && quantity > item.quantity);
+    if (adding && (!unit || item.product.archived)) {
+      throw conflict('PRODUCT_UNAVAILABLE', `${item.product ? item.product.name : 'This item'} is no longer available.`, {
+        available: 0,
+        cart: await cartPayload(req.cart)
+      });
+    }
+    const outOfStock = async () => conflict('OUT_OF_STOCK', outOfStockMessage(item.product, unit), {
+      available: unit.stock,
+      cart: await cartPayload(req.cart)
+    });
+    // (before the version is claimed below - a refused change leaves it as the client knows it)
+    if (quantity !== undefined && adding && quantity > unit.stock) {
+      throw await outOfStock();
+    }
+
+    // absolute set: claim the version first, so a stale client can't overwrite newer changes
+    let cart = req.cart;
+    if (quantity !== undefined) {
+      cart = await touchCart(req.cart, version);
+      if (!cart) {
+        throw conflict('CART_CONFLICT', 'Your cart changed in another window. Please review it and try again.', {
+          cart: await cartPayload(await Cart.findById(req.cart._id))
+        });
+      }
+    }
+
+    if (increment) {
+      const updated = await CartItem.findOneAndUpdate(
+        { _id: id, quantity: { $lte: unit.stock - increment } },
+        { $inc: { quantity: increment } }
+      );
+      if (!updated) {
+        if (!(await CartItem.exists({ _id: id }))) throw notFound('Cart item not found.');
+        throw await outOfStock();
+      }
+    } else if (decrement) {
+      // drops the line if this takes it to 0. Already gone (removed in another
+      // tab)? Then there's nothing to take off - send back the cart as it is
+      if (!(await removeFromCartLine(id, decrement))) {
+        return res.json(await cartPayload(await Cart.findById(req.cart._id)));
+      }
+    } else if (quantity === 0) {
+      await CartItem.deleteOne({ _id: id });
+    } else {
+      await CartItem.updateOne({ _id: id }, { quantity });
+    }
+
+    if (quantity === undefined) cart = await touchCart(req.cart);
+    res.json(await cartPayload(cart));
+  }
+);
+
+// DELETE /api/cart/items/:id - remove a line, responds with the full cart
+app.delete('/api/cart/items/:id', validate({ params: schemas.idParams }), resolveCart, async (req, res) => {
+  // only delete from the caller's own cart
+  const deletedItem = await CartItem.findOneAndDelete({ _id: req.valid.params.id, cart: req.cart._id });
+
+  if (!deletedItem) {
+    throw notFound('Cart item not found.');
+  }
+
+  res.json(await cartPayload(await touchCart(req.cart)));
+});
+
+// DELETE /api/cart/:id - older form of the above, kept for existing clients
+app.delete('/api/cart/:id', validate({ params: schemas.idParams }), resolveCart, async (req, res) => {
+  // only delete from the caller's own cart
+  const deletedItem = await CartItem.findOneAndDelete({ _id: req.valid.params.id, cart: req.cart._id });
+
+  if (!deletedItem) {
+    throw notFound('Cart item not found.');
+  }
+
+  await touchCart(req.cart);
+  res.json({ message: 'Item removed from cart.', removedItem: deletedItem });
+});
+
+// POST /api/checkout/quote - price the cart for an address + shipping method
+// body: { address: { line1, line2, city, region, postalCode, country }, shippingMethod }
+app.post('/api/checkout/quote', validate({ body: schemas.quoteBody }), resolveCart, async (req, res) => {
+  const { address, shippingMethod } = req.valid.body;
+  const cartItems = await CartItem.find({ cart: req.cart._id }).populate('product');
+  const coupon = req.cart.coupon ? await Coupon.findById(req.cart.coupon) : null;
+  const lines = toPricingLines(cartItems);
+
+  res.json({
+    ...priceCart(lines, coupon, { address, shippingMethod }),
+    shippingOptions: priceShippingOptions(lines, coupon)
+  });
+});
+
+// placeOrder()'s response status -> checkouts_total outcome
+const CHECKOUT_OUTCOMES = { 201: 'paid', 202: 'processing', 402: 'declined' };
+
+// POST /api/checkout - mock checkout
+// body: { customer: { name, email }, address, shippingMethod, paymentMethod }
+// header: Idempotency-Key (optional) - see claimIdempotencyKey
+app.post('/api/checkout', validate({ body: schemas.checkoutBody }), resolveCart, async (req, res) => {
+  // store a pending order, take payment through the provider, and only clear
+  // the cart once it's paid. totals are always recomputed, never taken from the client.
+  const key = req.get(IDEMPOTENCY_KEY_HEADER);
+  if (key) {
+    const stored = await claimIdempotencyKey(req.cart, key, req.valid.body);
+    if (stored) {
+      return res.status(stored.status).json(stored.body);
+    }
+  }
+
+  let result;
+  try {
+    result = await placeOrder(req);
+  } catch (err) {
+    checkouts.inc({ outcome: 'error' });
+    // nothing was ordered - free the key so a retry can run again
+    if (key) await IdempotencyKey.deleteOne({ key, cart: req.cart._id });
+    throw err;
+  }
+  checkouts.inc({ outcome: CHECKOUT_OUTCOMES[result.status] });
+
+  if (key) {
+    await IdempotencyKey.updateOne({ key, cart: req.cart._id }, { response: result });
+  }
+  res.status(result.status).json(result.body);
+});
+
+// GET /api/payments/config - which provider/payment methods the checkout should offer
+app.get('/api/payments/config', (req, res) => {
+  res.json(paymentProvider.publicConfig());
+});
+
+// POST /api/payments/webhook - async payment results from the provider
+app.post('/api/payments/webhook', async (req, res) => {
+  let event;
+  try {
+    event = paymentProvider.parseWebhook(req.rawBody || Buffer.alloc(0), req.headers);
+  } catch (err) {
+    req.log.warn('Rejected payment webhook.', { err });
+    throw new ApiError(400, 'INVALID_WEBHOOK', 'Invalid webhook.');
+  }
+
+  const order = await Order.findOne({ 'payment.intentId': event.intentId });
+  if (!order) {
+    throw notFound('Order not found.');
+  }
+
+  if (event.type === 'payment.succeeded') {
+    await markOrderPaid(order);
+  } else if (event.type === 'payment.failed') {
+    await markOrderFailed(order, event.failureReason || 'Payment failed.');
+  }
+
+  res.json({ received: true });
+});
+
+// GET /api/admin/carts/stats - abandoned-cart numbers and how the cart jobs are doing
+app.get('/api/admin/carts/stats', requireAdmin, async (req, res) => {
+  const now = new Date();
+  const idleSince = new Date(now - ABANDONED_CART_AFTER_MS);
+  // carts matching `match` that have at least one line
+  const countWithItems = async (match) => {
+    const [result] = await Cart.aggregate([
+      { $match: match },
+      { $lookup: { from: CartItem.collection.name, localField: '_id', foreignField: 'cart', as: 'items', pipeline: [{ $limit: 1 }] } },
+      { $match: { 'items.0': { $exists: true } } },
+      { $count: 'count' },
+    ]);
+    return result ? result.count : 0;
+  };
+
+  const [carts, withItems, abandoned, awaitingReminder, remindersSent, restored, expiring] = await Promise.all([
+    Cart.countDocuments(),
+    countWithItems({}),
+    countWithItems({ updatedAt: { $lt: idleSince } }),
+    Cart.countDocuments(abandonedCartFilter(now)),
+    Cart.countDocuments({ reminderSentAt: { $ne: null } }),
+    Cart.countDocuments({ restoredAt: { $ne: null } }),
+    Cart.countDocuments({ user: null, updatedAt: { $lt: new Date(now - CART_EXPIRY_MS) } }),
+  ]);
+
+  res.json({
+    carts,
+    withItems,
+    abandoned, // idle past the threshold, with something in them
+    awaitingReminder, // idle, someone to email and not reminded since - the next run picks these up
+    remindersSent,
+    restored,
+    expiring, // guest carts the next expiry run will delete
+    settings: {
+      abandonedAfterMinutes: ABANDONED_CART_AFTER_MS / 60000,
+      expiryDays: CART_EXPIRY_MS / (24 * 60 * 60 * 1000),
+      jobsIntervalMinutes: CART_JOBS_INTERVAL_MS / 60000,
+      jobsEnabled: CART_JOBS_ENABLED,
+    },
+    jobs: scheduler.status(),
+  });
+});
+
+// POST /api/admin/orders/:id/refund - refund a paid order in full (admin)
+app.post('/api/admin/orders/:id/refund', requireAdmin, validate({ params: schemas.idParams }), async (req, res) => {
+  const order = await Order.findById(req.valid.params.id);
+  if (!order) {
+    throw notFound('Order not found.');
+  }
+  if (!canTransition(order.status, 'refunded') || !isRefundable(order)) {
+    throw conflict('ORDER_NOT_REFUNDABLE', `Only paid orders can be refunded (this one is ${order.status}).`);
+  }
+
+  const refunded = await refundOrder(order, 'refunded');
+  if (!refunded) {
+    throw conflict('ORDER_CHANGED', 'This order was just updated. Reload it and try again.');
+  }
+  res.json(formatOrder(refunded, { withAccessToken: true }));
+});
+
+// GET /api/admin/orders - newest orders first (admin). ?status=&email=&page=
+const ADMIN_ORDERS_PAGE_SIZE = 25;
+
+app.get('/api/admin/orders', requireAdmin, validate({ query: schemas.adminOrdersQuery }), async (req, res) => {
+  const { status, email } = req.valid.query;
+  const page = req.valid.query.page || 1;
+  const filter = {};
+  if (status) filter.status = status;
+  if (email) filter['customer.email'] = email;
+
+  const [orders, total] = await Promise.all([
+    Order.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * ADMIN_ORDERS_PAGE_SIZE)
+      .limit(ADMIN_ORDERS_PAGE_SIZE),
+    Order.countDocuments(filter)
+  ]);
+
+  res.json({
+    orders: orders.map(order => formatOrder(order, { withAccessToken: true })), // for the order page link
+    total,
+    page,
+    limit: ADMIN_ORDERS_PAGE_SIZE,
+    hasMore: page * ADMIN_ORDERS_PAGE_SIZE < total
+  });
+});
+
+// POST /api/admin/orders/:id/status - move an order along (admin), see orders.js
+// body: { status: 'shipped', carrier, trackingNumber } | { status: 'delivered' }
+//     | { status: 'cancelled', reason }
+// the customer is emailed when it ships or is cancelled
+app.post('/api/admin/orders/:id/status', requireAdmin,
+  validate({ params: schemas.idParams, body: schemas.orderStatusBody }),
+  async (req, res) => {
+    const { status, carrier, trackingNumber, reason } = req.valid.body;
+
+    const order = await Order.findById(req.valid.params.id);
+    if (!order) {
+      throw notFound('Order not found.');
+    }
+    if (!canTransition(order.status, status)) {
+      throw conflict('INVALID_STATUS_TRANSITION', `A ${order.status} order can't be marked ${status}.`, {
+        status: order.status,
+        allowed: ORDER_TRANSITIONS[order.status] || []
+      });
+    }
+
+    let updated;
+    if (status === 'cancelled') {
+      updated = await cancelOrder(order, reason);
+    } else {
+      // only if nobody moved it since we looked
+      const update = { status, [`${status}At`]: new Date() }; // shippedAt / deliveredAt
+      if (status === 'shipped' && trackingNumber) {
+        update.tracking = { carrier, number: trackingNumber };
+      }
+      updated = await Order.findOneAndUpdate({ _id: order._id, status: order.status, ...NOT_BEING_REFUNDED }, update, { new: true });
+      if (updated && status === 'shipped') sendOrderEmail(updated, 'shipped');
+    }
+
+    if (!updated) {
+      throw conflict('ORDER_CHANGED', 'This order was just updated. Reload it and try again.');
+    }
+    res.json(formatOrder(updated, { withAccessToken: true }));
+  }
+);
+
+// who may see an order: admins, the customer signed in to the account that
+// placed it, or anyone with its access token (the link from checkout and emails)
+function canViewOrder(req, order, token) {
+  if (isAdmin(req)) return true;
+  if (req.user && order.user && order.user.equals(req.user._id)) return true;
+  return Boolean(token && order.accessToken) && secretsMatch(token, order.accessToken);
+}
+
+// GET /api/orders/:id?token= - look up a single order (see canViewOrder).
+// Anyone else gets a 404, the same as for an order that doesn't exist
+app.get('/api/orders/:id', validate({ params: schemas.idParams, query: schemas.orderQuery }), async (req, res) => {
+  const order = await Order.findById(req.valid.params.id);
+
+  if (!order || !canViewOrder(req, order, req.valid.query.token)) {
+    throw notFound('Order not found.');
+  }
+
+  res.json(formatOrder(order));
+});
+
+// GET /api/orders - the signed-in customer's orders, newest first.
+// (support looks customers up by email with GET /api/admin/orders?email=)
+app.get('/api/orders', requireAuth, async (req, res) => {
+  const orders = await Order.find({ user: req.user._id }).sort({ createdAt: -1 });
+  res.json(orders.map(order => formatOrder(order)));
+});
+
+// --- Analytics ---
+// GET /api/admin/analytics ?from=&to=&interval=day|week&top= - sales over time,
+// top products and cart conversion (admin), see analytics.js.
+// ?format=csv downloads the sales per day/week, or the products with &table=products
+const analytics = createAnalytics({ Order, Cart, CartItem });
+
+app.get('/api/admin/analytics', requireAdmin, validate({ query: schemas.analyticsQuery }), async (req, res) => {
+  const { from, to, interval, top, format, table } = req.valid.query;
+  // the products CSV has every product sold, not just the top ones
+  const report = await analytics.report({ from, to, interval, top: format === 'csv' && table === 'products' ? 0 : top });
+
+  if (format === 'csv') {
+    const { range } = report;
+    res.attachment(`${table === 'products' ? 'products' : 'sales'}-${range.from}-to-${range.to}.csv`);
+    res.type('text/csv').send(analytics.toCsv(report, table));
+  } else {
+    res.json(report);
+  }
+});
+
+// --- Auth ---
+
+// sign-in response: a fresh JWT plus the user. The guest cart (if any) is
+// merged into theirs, and the cart token header now points at the user's cart
+async function startSession(req, res, user, status) {
+  await mergeGuestCart(req.get(CART_TOKEN_HEADER), user);
+
+  let cart = await Cart.findOne({ user: user._id });
+  if (!cart) {
+    cart = await Cart.create({ token: crypto.randomUUID(), user: user._id });
+  }
+  res.set(CART_TOKEN_HEADER, cart.token);
+
+  res.status(status).json({ token: issueToken(user), user: user.toPublicJSON() });
+}
+
+// POST /api/auth/register - create an account and sign in. body: { name, email, password }
+app.post('/api/auth/register', validate({ body: schemas.registerBody }), async (req, res) => {
+  const { name, email, password } = req.valid.body;
+
+  if (await User.exists({ email })) {
+    throw conflict('EMAIL_TAKEN', 'An account with that email already exists.');
+  }
+
+  const user = await User.create({
+    name,
+    email,
+    passwordHash: await bcrypt.hash(password, 10)
+  });
+
+  await startSession(req, res, user, 201);
+});
+
+// POST /api/auth/login - body: { email, password }
+app.post('/api/auth/login', validate({ body: schemas.loginBody }), async (req, res) => {
+  const { email, password } = req.valid.body;
+
+  const user = await User.findOne({ email });
+  // same message either way, don't leak which emails have accounts
+  if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+    throw unauthorized('Incorrect email or password.');
+  }
+
+  await startSession(req, res, user, 200);
+});
+
+// POST /api/auth/logout - revoke the current token
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  const { jti, exp } = req.tokenPayload;
+
+  await RevokedToken.updateOne(
+    { jti },
+    { jti, expiresAt: new Date(exp * 1000) },
+    { upsert: true }
+  );
+  res.status(204).end();
+});
+
+// GET /api/auth/me - the signed-in user
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json(req.user.toPublicJSON());
+});
+
+// --- Metrics ---
+// GET /metrics - Prometheus scrape endpoint (see metrics.js). With METRICS_TOKEN
+// set it needs `Authorization: Bearer <token>` (Prometheus' bearer_token setting)
+const METRICS_TOKEN = config.metricsToken;
+
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN) {
+    const given = Buffer.from(req.get('Authorization') || '');
+    const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw unauthorized('Metrics token required.');
+    }
+  }
+  res.type(metrics.contentType).send(metrics.render());
+});
+
+// --- Health ---
+// For load balancers and orchestrators (e.g. Kubernetes liveness/readiness probes)
+const READY_CHECK_TIMEOUT_MS = 2000;
+
+// GET /healthz - the process is up and serving. Deliberately doesn't look at
+// the database: restarting us wouldn't fix a database outage
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// GET /readyz - whether to send us traffic: connected to MongoDB, which
+// answers a ping, and not shutting down. 503 with the failing checks otherwise
+app.get('/readyz', async (req, res) => {
+  let database = 'down';
+  if (mongoose.connection.readyState === 1) {
+    const ping = mongoose.connection.db.admin().ping();
+    const timeout = new Promise((resolve, reject) => setTimeout(reject, READY_CHECK_TIMEOUT_MS).unref());
+    database = await Promise.race([ping, timeout]).then(() => 'up', () => 'down');
+  }
+
+  const checks = { database, accepting: shuttingDown ? 'no' : 'yes' };
+  const ready = database === 'up' && !shuttingDown;
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+});
+
+// --- Errors ---
+// see errors.js - unknown API routes 404 and everything thrown above ends up
+// as { error: { code, message, details, requestId } }
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
+
+// --- Start Server ---
+const server = app.listen(PORT, () => {
+  logger.info(`Backend server running on http://localhost:${PORT}`);
+});
+
+connectToDatabase().then(connected => connected && prepareDatabase());
+
+// --- Shutdown ---
+// On SIGTERM (what orchestrators send) or SIGINT (Ctrl+C): /readyz starts
+// failing, new connections are refused and the requests in flight get to
+// finish. Then background work stops and the database connection closes.
+// Anything still going after SHUTDOWN_TIMEOUT_SECONDS is cut off.
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info('Shutting down, finishing requests in flight.', { signal });
+
+  const deadline = setTimeout(() => {
+    logger.error('Shutdown timed out, exiting anyway.', { timeoutMs: config.shutdownTimeoutMs });
+    process.exit(1);
+  }, config.shutdownTimeoutMs);
+  deadline.unref();
+
+  scheduler.stop();
+  stopLiveUpdates();
+  events.close(); // event streams never finish on their own
+  await new Promise(resolve => server.close(resolve));
+  // (a connection attempt still under way just ends with the process)
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.disconnect();
+  }
+  logger.info('Shutdown complete.');
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
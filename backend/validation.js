@@ -0,0 +1,382 @@
+// --- Request Validation ---
+// zod schemas for every route's body/params/query. validate() parses the
+// request against them and puts the cleaned-up values on req.valid; anything
+// that doesn't parse becomes a 400 VALIDATION_ERROR (see errors.js).
+
+const { z } = require('zod');
+const { SHIPPING_METHODS, DEFAULT_SHIPPING_METHOD } = require('./rates');
+const { VARIANT_OPTIONS, variantLabel } = require('./variants');
+const { ORDER_STATUSES, ADMIN_ORDER_STATUSES } = require('./orders');
+const { CATEGORY_TYPES } = require('./catalog/category');
+const { INTERVALS } = require('./analytics');
+
+// route middleware: validate({ body, params, query }) with any of the three.
+// parsed values land on req.valid.body / .params / .query
+function validate(schemas) {
+  return (req, res, next) => {
+    req.valid = {};
+    for (const part of ['params', 'query', 'body']) {
+      if (schemas[part]) {
+        // express.json() leaves the body undefined when none was sent
+        req.valid[part] = schemas[part].parse(req[part] || {});
+      }
+    }
+    next();
+  };
+}
+
+// --- Building blocks ---
+
+const objectId = z.string().regex(/^[a-f\d]{24}$/i, 'Must be a valid id');
+const idParams = z.object({ id: objectId });
+
+// "home-decor"
+const slug = z.string().trim().toLowerCase()
+  .regex(/^[a-z\d]+(-[a-z\d]+)*$/, 'Must be lowercase letters, numbers and dashes');
+
+const trimmed = z.string().trim();
+const nonEmpty = trimmed.min(1, 'Required');
+const email = trimmed.toLowerCase().email('Must be a valid email');
+const cents = z.number().int('Must be a whole number of cents').min(0);
+const count = z.number().int('Must be a whole number').min(0);
+
+// query strings are always strings - turn "12" into 12, "" into undefined
+const queryInt = ({ min = 0, max = Infinity } = {}) => z.preprocess(
+  value => (value === '' || value === undefined ? undefined : Number(value)),
+  z.number().int('Must be a whole number').min(min).max(max).optional()
+);
+const queryString = z.preprocess(
+  value => (typeof value === 'string' && value.trim() !== '' ? value.trim() : undefined),
+  z.string().optional()
+);
+
+// --- Catalog ---
+
+// the keys of PRODUCT_SORTS in server.js
+const PRODUCT_SORT_KEYS = ['featured', 'price_asc', 'price_desc', 'newest', 'name'];
+
+// GET /api/products ?q=&category=&minPrice=&maxPrice=&sort=&page=&limit= (prices in cents)
+const catalogQuery = z.object({
+  q: queryString,
+  category: queryString,
+  minPrice: queryInt(),
+  maxPrice: queryInt(),
+  sort: z.preprocess(value => value || undefined, z.enum(PRODUCT_SORT_KEYS).default('featured')),
+  page: queryInt({ min: 1 }),
+  limit: queryInt({ min: 1 }),
+});
+
+// --- Products (admin) ---
+
+const optionalText = z.union([trimmed, z.null()]).optional()
+  .transform(value => value || undefined); // '' / null = not set
+
+const variant = z.object({
+  _id: objectId.optional(), // existing variants keep their id so carts holding them survive edits
+  sku: nonEmpty,
+  size: optionalText,
+  color: optionalText,
+  price: cents.nullable().optional(), // unset = the product's price
+  image: optionalText, // unset = the product's image
+  stock: count,
+});
+
+// SKUs and size/color combinations must be unique within a product
+const variantList = z.array(variant).superRefine((variants, ctx) => {
+  const skus = new Set();
+  const combos = new Set();
+  variants.forEach((v, index) => {
+    if (skus.has(v.sku)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [index, 'sku'], message: `SKU ${v.sku} is used twice` });
+    }
+    skus.add(v.sku);
+
+    if (!VARIANT_OPTIONS.some(option => v[option])) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [index], message: `Needs a ${VARIANT_OPTIONS.join(' or ')}` });
+      return;
+    }
+    const label = variantLabel(v);
+    if (combos.has(label)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [index], message: `Duplicates ${label}` });
+    }
+    combos.add(label);
+  });
+});
+
+const productFields = {
+  name: nonEmpty,
+  sku: optionalText, // what catalog imports match on
+  description: trimmed.optional(),
+  category: nonEmpty.optional(),
+  price: cents,
+  image: nonEmpty,
+  images: z.array(nonEmpty).optional(),
+  stock: count,
+  weight: count.optional(), // grams
+  variants: variantList.optional(),
+  categories: z.array(objectId).optional(), // category ids
+  archived: z.boolean().optional(),
+};
+
+// with variants, stock comes from them instead of the body
+const withVariantStock = (product) => {
+  if (product.variants && product.variants.length > 0) {
+    return { ...product, stock: product.variants.reduce((acc, v) => acc + v.stock, 0) };
+  }
+  return product;
+};
+
+// the whole product. stock can be left out when variants are given
+const wholeProduct = fields => z.object({ ...fields, stock: count.optional() })
+  .refine(
+    product => product.stock !== undefined || (product.variants && product.variants.length > 0),
+    { path: ['stock'], message: 'Required' }
+  )
+  .transform(withVariantStock);
+
+// POST / PUT
+const productBody = wholeProduct(productFields);
+
+// PATCH - any subset
+const productPatch = z.object(productFields).partial().transform(withVariantStock);
+
+// --- Product images (admin) ---
+
+// POST /api/products/:id/images ?primary=true - the file itself is multipart, see media/images.js
+const imageUploadQuery = z.object({
+  primary: z.preprocess(value => value === 'true' || value === '1', z.boolean()),
+});
+
+// DELETE /api/products/:id/images/:imageId
+const productImageParams = z.object({ id: objectId, imageId: objectId });
+
+// --- Catalog import/export (admin) ---
+
+const CATALOG_FORMATS = ['csv', 'json'];
+
+// one product in an import file (see catalog/index.js) - a whole product, keyed by SKU
+// categories are given by slug here, so files work between stores
+const catalogProduct = wholeProduct({ ...productFields, sku: nonEmpty, categories: z.array(slug).optional() });
+
+// POST /api/admin/products/import ?format=csv|json&dryRun=true
+// format defaults to the request's Content-Type
+const catalogImportQuery = z.object({
+  format: z.preprocess(value => value || undefined, z.enum(CATALOG_FORMATS).optional()),
+  dryRun: z.preprocess(value => value === 'true' || value === '1', z.boolean()),
+});
+
+// GET /api/admin/products/export ?format=csv|json
+const catalogExportQuery = z.object({
+  format: z.preprocess(value => value || undefined, z.enum(CATALOG_FORMATS).default('json')),
+});
+
+// --- Categories ---
+
+const slugParams = z.object({ slug });
+
+const categoryFields = {
+  name: nonEmpty,
+  slug,
+  description: trimmed.optional(),
+  type: z.enum(CATEGORY_TYPES).optional(),
+  parent: objectId.nullable().optional(), // categories only
+  position: z.number().int('Must be a whole number').optional(),
+  products: z.array(objectId).optional(), // collections only, in display order
+};
+
+// POST /api/admin/categories
+const categoryBody = z.object(categoryFields);
+
+// PATCH /api/admin/categories/:id - any subset
+const categoryPatch = z.object(categoryFields).partial();
+
+// --- Reviews ---
+
+const REVIEW_SORT_KEYS = ['newest', 'highest', 'lowest'];
+
+// GET /api/products/:id/reviews ?sort=&page=&limit=
+const reviewsQuery = z.object({
+  sort: z.preprocess(value => value || undefined, z.enum(REVIEW_SORT_KEYS).default('newest')),
+  page: queryInt({ min: 1 }),
+  limit: queryInt({ min: 1 }),
+});
+
+// name/email come from the account when signed in, the route checks them for guests
+const reviewBody = z.object({
+  rating: z.number().int('Must be a whole number').min(1).max(5),
+  title: nonEmpty.max(120),
+  body: trimmed.max(5000).default(''),
+  name: nonEmpty.max(80).optional(),
+  email: email.optional(),
+});
+
+// GET /api/admin/reviews ?product=&hidden=&page=
+const adminReviewsQuery = z.object({
+  product: z.preprocess(value => value || undefined, objectId.optional()),
+  hidden: z.preprocess(
+    value => (value === 'true' ? true : value === 'false' ? false : value || undefined),
+    z.boolean().optional()
+  ),
+  page: queryInt({ min: 1 }),
+});
+
+const reviewModeration = z.object({
+  hidden: z.boolean(),
+});
+
+// --- Cart ---
+
+const addToCartBody = z.object({
+  productId: objectId,
+  variantId: objectId.nullable().default(null), // required for products with variants
+  quantity: z.number().int('Must be a whole number').min(1).default(1),
+});
+
+// exactly one of increment / decrement / quantity (+ version)
+const cartItemPatch = z.object({
+  increment: z.number().int().min(1).optional(),
+  decrement: z.number().int().min(1).optional(),
+  quantity: z.number().int().min(0).optional(),
+  version: z.number().int().min(0).optional(),
+}).superRefine((body, ctx) => {
+  const given = ['increment', 'decrement', 'quantity'].filter(key => body[key] !== undefined);
+  if (given.length !== 1) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Send exactly one of increment, decrement or quantity' });
+  }
+  if (body.quantity !== undefined && body.version === undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['version'], message: 'Required when setting quantity' });
+  }
+});
+
+// null / '' removes the applied code
+const couponBody = z.object({
+  code: z.union([trimmed, z.null()]).optional().transform(code => (code ? code.toUpperCase() : null)),
+});
+
+// GET /api/cart/restore/:token - the hex token from a reminder email
+const cartRestoreParams = z.object({
+  token: z.string().regex(/^[a-f\d]{48}$/, 'Must be a valid restore link'),
+});
+
+// --- Live events ---
+
+// GET /api/events ?cart=&lastEventId= (lastEventId when reconnecting by hand)
+const eventsQuery = z.object({
+  cart: queryString,
+  lastEventId: queryString,
+});
+
+// --- Checkout ---
+
+const address = z.object({
+  line1: nonEmpty,
+  line2: optionalText,
+  city: nonEmpty,
+  region: optionalText.transform(region => region && region.toUpperCase()), // state/province code
+  postalCode: nonEmpty,
+  country: trimmed.regex(/^[A-Za-z]{2}$/, 'Must be a 2-letter country code').transform(c => c.toUpperCase()),
+});
+
+const shippingMethod = z.enum(Object.keys(SHIPPING_METHODS)).default(DEFAULT_SHIPPING_METHOD);
+
+const quoteBody = z.object({ address, shippingMethod });
+
+const checkoutBody = z.object({
+  customer: z.object({ name: nonEmpty, email }),
+  address,
+  shippingMethod,
+  paymentMethod: nonEmpty,
+});
+
+// --- Orders ---
+
+// GET /api/orders/:id ?token= (the order's access token)
+const orderQuery = z.object({
+  token: queryString,
+});
+
+// GET /api/admin/orders ?status=&email=&page=
+const adminOrdersQuery = z.object({
+  status: z.preprocess(value => value || undefined, z.enum(ORDER_STATUSES).optional()),
+  email: z.preprocess(value => value || undefined, email.optional()),
+  page: queryInt({ min: 1 }),
+});
+
+// GET /api/admin/analytics ?from=&to=&interval=&top=&format=&table=
+// (dates are YYYY-MM-DD, both days included - see analytics.js)
+const analyticsDate = z.preprocess(
+  value => value || undefined,
+  z.string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, 'Must be a date like 2025-01-31')
+    .refine(value => {
+      const date = new Date(`${value}T00:00:00Z`);
+      return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value); // not 2025-02-30
+    }, 'Must be a real date')
+    .optional()
+);
+const analyticsQuery = z.object({
+  from: analyticsDate,
+  to: analyticsDate,
+  interval: z.preprocess(value => value || undefined, z.enum(INTERVALS).default('day')),
+  top: queryInt({ min: 1, max: 50 }),
+  format: z.preprocess(value => value || undefined, z.enum(['json', 'csv']).default('json')),
+  table: z.preprocess(value => value || undefined, z.enum(['series', 'products']).default('series')), // csv only
+});
+
+// POST /api/admin/orders/:id/status
+const orderStatusBody = z.object({
+  status: z.enum(ADMIN_ORDER_STATUSES),
+  carrier: optionalText, // shipped only
+  trackingNumber: optionalText,
+  reason: optionalText, // cancelled only, goes in the customer's email
+});
+
+// --- Auth ---
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const registerBody = z.object({
+  name: nonEmpty,
+  email,
+  password: z.string().min(MIN_PASSWORD_LENGTH, `Must be at least ${MIN_PASSWORD_LENGTH} characters`),
+});
+
+const loginBody = z.object({
+  email,
+  password: z.string().min(1, 'Required'),
+});
+
+module.exports = {
+  validate,
+  schemas: {
+    idParams,
+    catalogQuery,
+    productBody,
+    productPatch,
+    imageUploadQuery,
+    productImageParams,
+    catalogProduct,
+    catalogImportQuery,
+    catalogExportQuery,
+    slugParams,
+    categoryBody,
+    categoryPatch,
+    reviewsQuery,
+    reviewBody,
+    adminReviewsQuery,
+    reviewModeration,
+    addToCartBody,
+    cartItemPatch,
+    couponBody,
+    cartRestoreParams,
+    eventsQuery,
+    quoteBody,
+    checkoutBody,
+    orderQuery,
+    adminOrdersQuery,
+    analyticsQuery,
+    orderStatusBody,
+    registerBody,
+    loginBody,
+  },
+};
@@ -0,0 +1,42 @@
+// --- Product Variants ---
+// A product can come in variants (size/color), each with its own SKU and stock,
+// and optionally its own price and image. Cart and order lines point at a
+// product + variant. Products without variants work exactly as before.
+
+// the options a variant can be picked by, in display order
+const VARIANT_OPTIONS = ['size', 'color'];
+
+// "M / Black"
+function variantLabel(variant) {
+  return VARIANT_OPTIONS.map(option => variant[option]).filter(Boolean).join(' / ');
+}
+
+// what a cart line actually buys: the variant (if any) with its effective
+// price/stock/image. null when it can't be bought as-is - the variant was
+// removed, or the product has variants and none was picked.
+function resolveVariant(product, variantId) {
+  const hasVariants = product.variants && product.variants.length > 0;
+
+  if (!variantId) {
+    if (hasVariants) return null;
+    return { variant: null, sku: null, label: '', price: product.price, stock: product.stock, image: product.image };
+  }
+
+  const variant = hasVariants ? product.variants.id(variantId) : null;
+  if (!variant) return null;
+
+  return {
+    variant,
+    sku: variant.sku,
+    label: variantLabel(variant),
+    price: variant.price != null ? variant.price : product.price,
+    stock: variant.stock,
+    image: variant.image || product.image
+  };
+}
+
+module.exports = {
+  VARIANT_OPTIONS,
+  variantLabel,
+  resolveVariant,
+};
@@ -0,0 +1,294 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Download, Loader2 } from 'lucide-react';
+import { apiClient, adminHeaders, apiError, errorText } from './api';
+import { formatMoney } from './money';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// the report's days are UTC days (see backend/analytics.js), so are these
+const isoDate = date => date.toISOString().slice(0, 10);
+const lastDays = days => ({ from: isoDate(new Date(Date.now() - (days - 1) * DAY_MS)), to: isoDate(new Date()) });
+
+const RANGE_PRESETS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '12 months' },
+];
+
+const percent = rate => (rate === null ? '-' : `${(rate * 100).toFixed(1)}%`);
+const shortDate = date => new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+const inputClass = 'bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+// admin screen's Analytics tab - revenue and orders over a date range, best
+// sellers and cart conversion (GET /api/admin/analytics), with CSV downloads
+export default function SalesAnalytics({ adminKey }) {
+  const [range, setRange] = useState(() => lastDays(30));
+  const [grouping, setGrouping] = useState('day'); // 'day' | 'week'
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [downloading, setDownloading] = useState(null); // which table
+  const [error, setError] = useState(null);
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await apiClient.get('/admin/analytics', {
+        headers: adminHeaders(adminKey),
+        params: { ...range, interval: grouping }
+      });
+      setReport(response.data);
+    } catch (err) {
+      console.error("Error fetching analytics:", err);
+      setError(errorText(apiError(err, "Failed to load analytics.")));
+    } finally {
+      setLoading(false);
+    }
+  }, [adminKey, range, grouping]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  // the CSV needs the admin key header, so fetch it and hand the browser a blob
+  const handleDownload = async (table) => {
+    setDownloading(table);
+    setError(null);
+    try {
+      const response = await apiClient.get('/admin/analytics', {
+        headers: adminHeaders(adminKey),
+        params: { ...range, interval: grouping, format: 'csv', table },
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${table === 'products' ? 'products' : 'sales'}-${range.from}-to-${range.to}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Error downloading analytics:", err);
+      setError(apiError(err, "Failed to download the CSV.").message);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const currency = report?.currency;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-6">
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="text-sm text-gray-400">
+            From
+            <input
+              type="date"
+              value={range.from}
+              max={range.to}
+              onChange={(e) => e.target.value && setRange(prev => ({ ...prev, from: e.target.value }))}
+              className={`${inputClass} block mt-1`}
+            />
+          </label>
+          <label className="text-sm text-gray-400">
+            To
+            <input
+              type="date"
+              value={range.to}
+              min={range.from}
+              onChange={(e) => e.target.value && setRange(prev => ({ ...prev, to: e.target.value }))}
+              className={`${inputClass} block mt-1`}
+            />
+          </label>
+          <select
+            value={grouping}
+            onChange={(e) => setGrouping(e.target.value)}
+            className={inputClass}
+            aria-label="Group by"
+          >
+            <option value="day">Daily</option>
+            <option value="week">Weekly</option>
+          </select>
+          <div className="flex gap-1">
+            {RANGE_PRESETS.map(({ days, label }) => (
+              <button
+                key={days}
+                onClick={() => setRange(lastDays(days))}
+                className="text-sm px-3 py-2 rounded border border-gray-600 text-gray-300 hover:bg-gray-700 hover:text-white"
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="flex gap-2">
+          {[['series', 'Sales CSV'], ['products', 'Products CSV']].map(([table, label]) => (
+            <button
+              key={table}
+              onClick={() => handleDownload(table)}
+              disabled={downloading !== null}
+              className="flex items-center text-sm px-3 py-2 rounded border border-gray-600 text-gray-300 hover:bg-gray-700 hover:text-white disabled:opacity-50"
+            >
+              {downloading === table
+                ? <Loader2 size={16} className="mr-2 animate-spin" />
+                : <Download size={16} className="mr-2" />}
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="mb-4 text-red-400">{error}</p>}
+
+      {loading && !report ? (
+        <div className="flex justify-center py-12">
+          <Loader2 size={36} className="animate-spin text-indigo-400" />
+        </div>
+      ) : report && (
+        <div className={`space-y-6 ${loading ? 'opacity-60' : ''}`}>
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            <Stat label="Revenue" value={formatMoney(report.summary.revenue, currency)} />
+            <Stat label="Orders" value={report.summary.orders} />
+            <Stat label="Average order" value={formatMoney(report.summary.averageOrderValue, currency)} />
+            <Stat label="Cart conversion" value={percent(report.conversion.purchaseRate)} />
+          </div>
+
+          <Panel title={`Revenue per ${report.range.interval}`}>
+            <BarChart series={report.series} value={row => row.revenue} format={minor => formatMoney(minor, currency)} />
+          </Panel>
+          <Panel title={`Orders per ${report.range.interval}`}>
+            <BarChart series={report.series} value={row => row.orders} format={count => count} />
+          </Panel>
+
+          <div className="grid lg:grid-cols-2 gap-6">
+            <Panel title="Top products by units">
+              <RankedBars rows={report.topProducts.byUnits} value={row => row.units} format={units => `${units} sold`} />
+            </Panel>
+            <Panel title="Top products by revenue">
+              <RankedBars rows={report.topProducts.byRevenue} value={row => row.revenue} format={minor => formatMoney(minor, currency)} />
+            </Panel>
+          </div>
+
+          <Panel title="Cart to checkout">
+            <Funnel conversion={report.conversion} />
+            <p className="mt-3 text-xs text-gray-500">
+              Carts started in this range that had something added. Days are UTC days.
+            </p>
+          </Panel>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Stat({ label, value }) {
+  return (
+    <div className="bg-gray-800/70 border border-gray-700 rounded-lg p-4">
+      <p className="text-sm text-gray-400">{label}</p>
+      <p className="text-2xl font-bold text-white mt-1">{value}</p>
+    </div>
+  );
+}
+
+function Panel({ title, children }) {
+  return (
+    <div className="bg-gray-800/70 border border-gray-700 rounded-lg p-4">
+      <h3 className="text-lg font-semibold text-white mb-4">{title}</h3>
+      {children}
+    </div>
+  );
+}
+
+// one bar per day/week, scaled to the biggest. Hover a bar for its numbers
+const CHART_HEIGHT = 160;
+
+function BarChart({ series, value, format }) {
+  const max = Math.max(0, ...series.map(value));
+  const barWidth = 100 / series.length;
+
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-gray-500 mb-1">
+        <span>{format(max)}</span>
+      </div>
+      <svg
+        viewBox={`0 0 100 ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-40 border-b border-gray-600"
+        role="img"
+        aria-label={`Peak ${format(max)}`}
+      >
+        {series.map((row, i) => {
+          const height = max ? (value(row) / max) * CHART_HEIGHT : 0;
+          return (
+            <rect
+              key={row.date}
+              x={i * barWidth + barWidth * 0.1}
+              y={CHART_HEIGHT - height}
+              width={barWidth * 0.8}
+              height={height}
+              className="fill-indigo-500 hover:fill-indigo-300"
+            >
+              <title>{`${shortDate(row.date)}: ${format(value(row))}`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>{shortDate(series[0].date)}</span>
+        <span>{shortDate(series[series.length - 1].date)}</span>
+      </div>
+    </div>
+  );
+}
+
+// best first, each bar as long as its share of the top one
+function RankedBars({ rows, value, format }) {
+  if (rows.length === 0) return <p className="text-gray-400">No sales in this range.</p>;
+  const max = value(rows[0]) || 1;
+
+  return (
+    <ol className="space-y-3">
+      {rows.map(row => (
+        <li key={row.product || row.name}>
+          <div className="flex justify-between text-sm text-gray-300">
+            <span className="truncate mr-4">{row.name}</span>
+            <span className="text-gray-400 whitespace-nowrap">{format(value(row))}</span>
+          </div>
+          <div className="h-2 mt-1 bg-gray-700 rounded">
+            <div className="h-2 bg-indigo-500 rounded" style={{ width: `${(value(row) / max) * 100}%` }} />
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function Funnel({ conversion }) {
+  const steps = [
+    { label: 'Carts', count: conversion.carts },
+    { label: 'Reached checkout', count: conversion.checkouts, rate: conversion.checkoutRate },
+    { label: 'Paid', count: conversion.purchases, rate: conversion.purchaseRate },
+  ];
+  const max = conversion.carts || 1;
+
+  return (
+    <div className="space-y-3">
+      {steps.map(step => (
+        <div key={step.label}>
+          <div className="flex justify-between text-sm text-gray-300">
+            <span>{step.label}</span>
+            <span className="text-gray-400">
+              {step.count}{step.rate !== undefined && ` (${percent(step.rate)})`}
+            </span>
+          </div>
+          <div className="h-3 mt-1 bg-gray-700 rounded">
+            <div className="h-3 bg-emerald-500 rounded" style={{ width: `${(step.count / max) * 100}%` }} />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Loader2 } from 'lucide-react';
+import { apiClient, adminHeaders, apiError } from './api';
+import { formatMoney } from './money';
+import { orderPath } from './OrderPage';
+
+const STATUS_FILTERS = ['', 'pending_payment', 'paid', 'shipped', 'delivered', 'cancelled', 'refunded', 'failed', 'placed'];
+
+// buttons per status - mirrors backend/orders.js, which has the final say
+const ORDER_ACTIONS = {
+  placed: ['shipped', 'cancelled'],
+  pending_payment: ['cancelled'],
+  paid: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered'],
+};
+
+const ACTION_LABELS = {
+  shipped: 'Mark shipped',
+  delivered: 'Mark delivered',
+  cancelled: 'Cancel',
+  refunded: 'Refund',
+};
+
+const statusLabel = status => (status ? status.replace('_', ' ') : 'All orders');
+
+// admin screen's Orders tab - newest first, move each one along its lifecycle.
+// Shipping and cancelling email the customer
+export default function OrderManagement({ adminKey }) {
+  const [orders, setOrders] = useState([]);
+  const [meta, setMeta] = useState({ total: 0, page: 1, hasMore: false });
+  const [status, setStatus] = useState('');
+  const [email, setEmail] = useState(''); // customer lookup, applied on submit
+  const [emailInput, setEmailInput] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [busyOrderId, setBusyOrderId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchOrders = useCallback(async (page = 1) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await apiClient.get('/admin/orders', {
+        headers: adminHeaders(adminKey),
+        params: { status: status || undefined, email: email || undefined, page }
+      });
+      const { orders: pageOrders, ...pageMeta } = response.data;
+      setOrders(prev => (page === 1 ? pageOrders : [...prev, ...pageOrders]));
+      setMeta(pageMeta);
+    } catch (err) {
+      console.error("Error fetching orders:", err);
+      setError(apiError(err, "Failed to load orders.").message);
+    } finally {
+      setLoading(false);
+    }
+  }, [adminKey, status, email]);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  const handleAction = async (order, action) => {
+    let body = { status: action };
+    if (action === 'shipped') {
+      const trackingNumber = window.prompt('Tracking number (optional)');
+      if (trackingNumber === null) return;
+      const carrier = trackingNumber ? window.prompt('Carrier (optional)', 'UPS') : '';
+      body = { ...body, trackingNumber, carrier: carrier || '' };
+    } else if (action === 'cancelled') {
+      const reason = window.prompt('Reason for cancelling (sent to the customer, optional)');
+      if (reason === null) return;
+      body = { ...body, reason };
+    } else if (action === 'refunded' && !window.confirm(`Refund ${formatMoney(order.total, order.currency)}?`)) {
+      return;
+    }
+
+    setBusyOrderId(order.orderId);
+    setError(null);
+    try {
+      const response = action === 'refunded'
+        ? await apiClient.post(`/admin/orders/${order.orderId}/refund`, {}, { headers: adminHeaders(adminKey) })
+        : await apiClient.post(`/admin/orders/${order.orderId}/status`, body, { headers: adminHeaders(adminKey) });
+      setOrders(prev => prev.map(o => (o.orderId === order.orderId ? response.data : o)));
+    } catch (err) {
+      console.error("Error updating order:", err);
+      setError(apiError(err, "Failed to update order.").message);
+    } finally {
+      setBusyOrderId(null);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <p className="text-gray-400">{meta.total} order{meta.total === 1 ? '' : 's'}</p>
+        <div className="flex gap-2">
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              setEmail(emailInput.trim());
+            }}
+          >
+            <input
+              type="search"
+              value={emailInput}
+              onChange={(e) => setEmailInput(e.target.value)}
+              placeholder="Customer email"
+              className="bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              aria-label="Find orders by customer email"
+            />
+          </form>
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white text-sm capitalize focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            aria-label="Filter orders"
+          >
+            {STATUS_FILTERS.map(value => (
+              <option key={value} value={value}>{statusLabel(value)}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && <p className="mb-4 text-red-400">{error}</p>}
+
+      <div className="overflow-x-auto bg-gray-800/70 border border-gray-700 rounded-lg">
+        <table className="w-full text-left text-gray-300">
+          <thead className="border-b border-gray-700 text-sm uppercase text-gray-400">
+            <tr>
+              <th className="p-3">Order</th>
+              <th className="p-3">Customer</th>
+              <th className="p-3">Total</th>
+              <th className="p-3">Status</th>
+              <th className="p-3 text-right">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-700">
+            {orders.map(order => (
+              <tr key={order.orderId}>
+                <td className="p-3">
+                  <Link to={orderPath(order)} className="font-mono text-sm text-indigo-400 hover:text-indigo-300">
+                    {order.orderId.slice(-8)}
+                  </Link>
+                  <span className="block text-xs text-gray-400">{new Date(order.timestamp).toLocaleString()}</span>
+                </td>
+                <td className="p-3">
+                  {order.customer.name}
+                  <span className="block text-xs text-gray-400">{order.customer.email}</span>
+                </td>
+                <td className="p-3">{formatMoney(order.total, order.currency)}</td>
+                <td className="p-3 capitalize">{statusLabel(order.status)}</td>
+                <td className="p-3">
+                  <div className="flex justify-end gap-2">
+                    {busyOrderId === order.orderId ? (
+                      <Loader2 size={18} className="animate-spin text-indigo-400" />
+                    ) : (
+                      (ORDER_ACTIONS[order.status] || []).map(action => (
+                        <button
+                          key={action}
+                          onClick={() => handleAction(order, action)}
+                          className="text-sm px-3 py-1 rounded border border-gray-600 text-gray-300 hover:bg-gray-700 hover:text-white"
+                        >
+                          {ACTION_LABELS[action]}
+                        </button>
+                      ))
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {loading && (
+        <div className="flex justify-center py-8">
+          <Loader2 size={32} className="animate-spin text-indigo-400" />
+        </div>
+      )}
+      {!loading && orders.length === 0 && <p className="mt-4 text-gray-400">No orders.</p>}
+      {!loading && meta.hasMore && (
+        <button
+          onClick={() => fetchOrders(meta.page + 1)}
+          className="mt-4 text-indigo-400 hover:text-indigo-300 font-medium"
+        >
+          Load more
+        </button>
+      )}
+    </div>
+  );
+}
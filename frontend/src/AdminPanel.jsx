@@ -0,0 +1,526 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, Pencil, Archive, ArchiveRestore, Plus, X, KeyRound, Trash2, Upload } from 'lucide-react';
+import { apiClient, adminHeaders, apiError, errorText } from './api';
+import { formatMoney, toMinorUnits, fromMinorUnits } from './money';
+import { variantLabel } from './variants';
+import { productImage, showPlaceholder } from './images';
+import ReviewModeration from './AdminReviews';
+import OrderManagement from './AdminOrders';
+import SalesAnalytics from './AdminAnalytics';
+
+// admin key lives in sessionStorage so it's gone when the tab closes
+const ADMIN_KEY_STORAGE = 'vibeAdminKey';
+
+const EMPTY_PRODUCT = { name: '', sku: '', description: '', category: '', price: '', image: '', images: '', stock: '', weight: '', variants: [] };
+const EMPTY_VARIANT = { sku: '', size: '', color: '', price: '', image: '', stock: '' };
+
+export default function AdminPanel() {
+  const [adminKey, setAdminKey] = useState(() => sessionStorage.getItem(ADMIN_KEY_STORAGE) || '');
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // null = form closed, {} with no _id = new product, otherwise editing
+  const [editing, setEditing] = useState(null);
+  const [tab, setTab] = useState('products'); // 'products' | 'orders' | 'reviews' | 'analytics'
+
+  const fetchProducts = useCallback(async () => {
+    if (!adminKey) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await apiClient.get('/admin/products', { headers: adminHeaders(adminKey) });
+      setProducts(response.data);
+    } catch (err) {
+      console.error("Error fetching admin products:", err);
+      const error = apiError(err, "Failed to load products.");
+      if (error.code === 'UNAUTHORIZED') {
+        // bad key, make them enter it again
+        sessionStorage.removeItem(ADMIN_KEY_STORAGE);
+        setAdminKey('');
+      }
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [adminKey]);
+
+  useEffect(() => {
+    fetchProducts();
+  }, [fetchProducts]);
+
+  const handleLogin = (key) => {
+    sessionStorage.setItem(ADMIN_KEY_STORAGE, key);
+    setAdminKey(key);
+  };
+
+  const handleSave = async (formData) => {
+    const body = {
+      name: formData.name,
+      sku: formData.sku, // the key catalog imports match on - blank leaves it unset
+      description: formData.description,
+      category: formData.category || 'Uncategorized',
+      price: toMinorUnits(formData.price), // form is in dollars, API wants cents
+      image: formData.image,
+      images: formData.images.split('\n').map(url => url.trim()).filter(Boolean), // one URL per line
+      stock: Number(formData.stock),
+      weight: Number(formData.weight || 0), // grams
+      // with variants the server works stock out from them.
+      // existing variants keep their _id so carts holding them still work
+      variants: formData.variants.map(variant => ({
+        _id: variant._id,
+        sku: variant.sku,
+        size: variant.size,
+        color: variant.color,
+        price: variant.price === '' ? null : toMinorUnits(variant.price), // blank = product price
+        image: variant.image,
+        stock: Number(variant.stock)
+      })),
+    };
+
+    try {
+      if (editing._id) {
+        await apiClient.put(`/products/${editing._id}`, body, { headers: adminHeaders(adminKey) });
+      } else {
+        await apiClient.post('/products', body, { headers: adminHeaders(adminKey) });
+      }
+      setEditing(null);
+      await fetchProducts();
+    } catch (err) {
+      console.error("Error saving product:", err);
+      // leave the form open so they can fix it
+      return errorText(apiError(err, "Failed to save product."));
+    }
+  };
+
+  const handleToggleArchived = async (product) => {
+    try {
+      if (product.archived) {
+        await apiClient.patch(`/products/${product._id}`, { archived: false }, { headers: adminHeaders(adminKey) });
+      } else {
+        await apiClient.delete(`/products/${product._id}`, { headers: adminHeaders(adminKey) });
+      }
+      await fetchProducts();
+    } catch (err) {
+      console.error("Error archiving product:", err);
+      setError(apiError(err, "Failed to update product.").message);
+    }
+  };
+
+  if (!adminKey) {
+    return <AdminLogin error={error} onSubmit={handleLogin} />;
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <div className="flex gap-4">
+          {['products', 'orders', 'reviews', 'analytics'].map(name => (
+            <button
+              key={name}
+              onClick={() => setTab(name)}
+              className={`text-2xl font-bold capitalize ${tab === name ? 'text-white' : 'text-gray-500 hover:text-gray-300'}`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+        {tab === 'products' && (
+          <button
+            onClick={() => setEditing({})}
+            className="flex items-center bg-indigo-500 text-white font-semibold py-2 px-4 rounded-lg hover:bg-indigo-600 transition-colors"
+          >
+            <Plus size={20} className="mr-2" />
+            New Product
+          </button>
+        )}
+      </div>
+
+      {error && <p className="mb-4 text-red-400">{error}</p>}
+
+      {tab === 'orders' ? (
+        <OrderManagement adminKey={adminKey} />
+      ) : tab === 'reviews' ? (
+        <ReviewModeration adminKey={adminKey} />
+      ) : tab === 'analytics' ? (
+        <SalesAnalytics adminKey={adminKey} />
+      ) : loading ? (
+        <div className="flex justify-center py-12">
+          <Loader2 size={36} className="animate-spin text-indigo-400" />
+        </div>
+      ) : (
+        <ProductTable
+          products={products}
+          onEdit={setEditing}
+          onToggleArchived={handleToggleArchived}
+        />
+      )}
+
+      {editing && (
+        <ProductForm
+          product={editing}
+          adminKey={adminKey}
+          onClose={() => setEditing(null)}
+          onSubmit={handleSave}
+          onPhotosChange={fetchProducts}
+        />
+      )}
+    </div>
+  );
+}
+
+// === COMPONENTS ===
+
+function AdminLogin({ error, onSubmit }) {
+  const [key, setKey] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (key) onSubmit(key);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="max-w-sm mx-auto bg-gray-800 border border-gray-700 rounded-lg p-6">
+      <div className="flex items-center gap-2 mb-4 text-white">
+        <KeyRound className="text-indigo-400" size={24} />
+        <h2 className="text-xl font-bold">Admin Access</h2>
+      </div>
+      {error && <p className="mb-4 text-red-400 text-sm">{error}</p>}
+      <label htmlFor="adminKey" className="block text-sm font-medium text-gray-300 mb-1">Admin Key</label>
+      <input
+        type="password"
+        id="adminKey"
+        value={key}
+        onChange={(e) => setKey(e.target.value)}
+        required
+        className="w-full mb-4 bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      />
+      <button
+        type="submit"
+        className="w-full bg-indigo-500 text-white font-semibold py-2 px-4 rounded-lg hover:bg-indigo-600 transition-colors"
+      >
+        Continue
+      </button>
+    </form>
+  );
+}
+
+function ProductTable({ products, onEdit, onToggleArchived }) {
+  return (
+    <div className="overflow-x-auto bg-gray-800/70 border border-gray-700 rounded-lg">
+      <table className="w-full text-left text-gray-300">
+        <thead className="border-b border-gray-700 text-sm uppercase text-gray-400">
+          <tr>
+            <th className="p-3">Product</th>
+            <th className="p-3">Category</th>
+            <th className="p-3">Price</th>
+            <th className="p-3">Stock</th>
+            <th className="p-3">Status</th>
+            <th className="p-3 text-right">Actions</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-700">
+          {products.map((product) => (
+            <tr key={product._id} className={product.archived ? 'opacity-50' : ''}>
+              <td className="p-3">
+                <div className="flex items-center gap-3">
+                  <img {...productImage(product, product.image, 'thumb')} alt={product.name} className="w-10 h-10 rounded object-cover" />
+                  <span className="font-medium text-white">{product.name}</span>
+                </div>
+              </td>
+              <td className="p-3">{product.category}</td>
+              <td className="p-3">{formatMoney(product.price, product.currency)}</td>
+              <td className="p-3">
+                {product.stock}
+                {product.variants?.length > 0 && (
+                  <span className="block text-xs text-gray-400">
+                    {product.variants.map(variant => `${variantLabel(variant)}: ${variant.stock}`).join(', ')}
+                  </span>
+                )}
+              </td>
+              <td className="p-3">{product.archived ? 'Archived' : 'Active'}</td>
+              <td className="p-3">
+                <div className="flex justify-end gap-2">
+                  <button
+                    onClick={() => onEdit(product)}
+                    className="p-2 rounded-full text-gray-400 hover:bg-gray-700 hover:text-white"
+                    aria-label="Edit product"
+                  >
+                    <Pencil size={18} />
+                  </button>
+                  <button
+                    onClick={() => onToggleArchived(product)}
+                    className="p-2 rounded-full text-gray-400 hover:bg-gray-700 hover:text-white"
+                    aria-label={product.archived ? 'Restore product' : 'Archive product'}
+                  >
+                    {product.archived ? <ArchiveRestore size={18} /> : <Archive size={18} />}
+                  </button>
+                </div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function ProductForm({ product, adminKey, onClose, onSubmit, onPhotosChange }) {
+  const [formData, setFormData] = useState(() => (
+    product._id
+      ? {
+        name: product.name,
+        sku: product.sku || '',
+        description: product.description || '',
+        category: product.category || '',
+        price: fromMinorUnits(product.price, product.currency),
+        image: product.image,
+        images: (product.images || []).join('\n'),
+        stock: product.stock,
+        weight: product.weight || 0,
+        variants: (product.variants || []).map(variant => ({
+          _id: variant._id,
+          sku: variant.sku,
+          size: variant.size || '',
+          color: variant.color || '',
+          price: variant.price != null ? fromMinorUnits(variant.price, product.currency) : '',
+          image: variant.image || '',
+          stock: variant.stock
+        }))
+      }
+      : EMPTY_PRODUCT
+  ));
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleVariantChange = (index, e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      variants: prev.variants.map((variant, i) => (i === index ? { ...variant, [name]: value } : variant))
+    }));
+  };
+
+  const addVariant = () => {
+    setFormData(prev => ({ ...prev, variants: [...prev.variants, EMPTY_VARIANT] }));
+  };
+
+  const removeVariant = (index) => {
+    setFormData(prev => ({ ...prev, variants: prev.variants.filter((_, i) => i !== index) }));
+  };
+
+  const hasVariants = formData.variants.length > 0;
+
+  // photo uploads save straight away and can change the main image and
+  // gallery, so pick those up - saving the form mustn't put the old ones back
+  const handlePhotosChange = (updated, removedUrls = []) => {
+    setFormData(prev => ({
+      ...prev,
+      image: updated.image,
+      images: updated.images.join('\n'),
+      variants: prev.variants.map(variant => (removedUrls.includes(variant.image) ? { ...variant, image: '' } : variant)),
+    }));
+    onPhotosChange();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    const saveError = await onSubmit(formData);
+    if (saveError) {
+      setFormError(saveError);
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClass = "w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 flex items-center justify-center p-4">
+      <div className="bg-gray-800 rounded-lg shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center p-5 border-b border-gray-700">
+          <h2 className="text-2xl font-bold text-white">{product._id ? 'Edit Product' : 'New Product'}</h2>
+          <button onClick={onClose} className="p-2 rounded-full text-gray-400 hover:bg-gray-700 hover:text-white">
+            <X size={24} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-5 space-y-4">
+          {formError && <p className="text-red-400 text-sm">{formError}</p>}
+          <div>
+            <label htmlFor="name" className="block text-sm font-medium text-gray-300 mb-1">Name</label>
+            <input type="text" id="name" name="name" value={formData.name} onChange={handleChange} required className={inputClass} />
+          </div>
+          <div>
+            <label htmlFor="sku" className="block text-sm font-medium text-gray-300 mb-1">SKU</label>
+            <input type="text" id="sku" name="sku" value={formData.sku} onChange={handleChange} placeholder="Used to match rows in catalog imports" className={inputClass} />
+          </div>
+          <div>
+            <label htmlFor="description" className="block text-sm font-medium text-gray-300 mb-1">Description</label>
+            <textarea id="description" name="description" rows="3" value={formData.description} onChange={handleChange} className={inputClass} />
+          </div>
+          <div>
+            <label htmlFor="category" className="block text-sm font-medium text-gray-300 mb-1">Category</label>
+            <input type="text" id="category" name="category" value={formData.category} onChange={handleChange} placeholder="Uncategorized" className={inputClass} />
+          </div>
+          <div className="flex gap-4">
+            <div className="flex-1">
+              <label htmlFor="price" className="block text-sm font-medium text-gray-300 mb-1">Price ($)</label>
+              <input type="number" id="price" name="price" min="0" step="0.01" value={formData.price} onChange={handleChange} required className={inputClass} />
+            </div>
+            {/* with variants, stock is per variant */}
+            {!hasVariants && (
+              <div className="flex-1">
+                <label htmlFor="stock" className="block text-sm font-medium text-gray-300 mb-1">Stock</label>
+                <input type="number" id="stock" name="stock" min="0" step="1" value={formData.stock} onChange={handleChange} required className={inputClass} />
+              </div>
+            )}
+            <div className="flex-1">
+              <label htmlFor="weight" className="block text-sm font-medium text-gray-300 mb-1">Weight (g)</label>
+              <input type="number" id="weight" name="weight" min="0" step="1" value={formData.weight} onChange={handleChange} className={inputClass} />
+            </div>
+          </div>
+          <div>
+            <label htmlFor="image" className="block text-sm font-medium text-gray-300 mb-1">Image URL</label>
+            <input type="url" id="image" name="image" value={formData.image} onChange={handleChange} required className={inputClass} />
+          </div>
+          <div>
+            <label htmlFor="images" className="block text-sm font-medium text-gray-300 mb-1">More Images (one URL per line)</label>
+            <textarea id="images" name="images" rows="2" value={formData.images} onChange={handleChange} className={inputClass} />
+          </div>
+          {product._id ? (
+            <ProductPhotos product={product} adminKey={adminKey} onChange={handlePhotosChange} />
+          ) : (
+            <p className="text-xs text-gray-400">Save the product first to upload photos.</p>
+          )}
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <span className="text-sm font-medium text-gray-300">Variants</span>
+              <button type="button" onClick={addVariant} className="flex items-center text-sm text-indigo-400 hover:text-indigo-300 font-medium">
+                <Plus size={16} className="mr-1" />
+                Add variant
+              </button>
+            </div>
+            {hasVariants && (
+              <p className="text-xs text-gray-400 mb-2">Leave price or image blank to use the product's.</p>
+            )}
+            <div className="space-y-2">
+              {formData.variants.map((variant, index) => (
+                <div key={variant._id || index} className="grid grid-cols-12 gap-2 items-center">
+                  <input type="text" name="sku" placeholder="SKU" aria-label="SKU" value={variant.sku} onChange={(e) => handleVariantChange(index, e)} required className={`${inputClass} col-span-2`} />
+                  <input type="text" name="size" placeholder="Size" aria-label="Size" value={variant.size} onChange={(e) => handleVariantChange(index, e)} className={`${inputClass} col-span-2`} />
+                  <input type="text" name="color" placeholder="Color" aria-label="Color" value={variant.color} onChange={(e) => handleVariantChange(index, e)} className={`${inputClass} col-span-2`} />
+                  <input type="number" name="price" placeholder="Price" aria-label="Price" min="0" step="0.01" value={variant.price} onChange={(e) => handleVariantChange(index, e)} className={`${inputClass} col-span-2`} />
+                  <input type="number" name="stock" placeholder="Stock" aria-label="Stock" min="0" step="1" value={variant.stock} onChange={(e) => handleVariantChange(index, e)} required className={`${inputClass} col-span-1 px-2`} />
+                  <input type="url" name="image" placeholder="Image URL" aria-label="Image URL" value={variant.image} onChange={(e) => handleVariantChange(index, e)} className={`${inputClass} col-span-2`} />
+                  <button type="button" onClick={() => removeVariant(index)} className="col-span-1 p-2 text-red-400 hover:text-red-300" aria-label="Remove variant">
+                    <Trash2 size={18} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full flex items-center justify-center bg-indigo-500 text-white font-semibold py-3 px-4 rounded-lg hover:bg-indigo-600 transition-colors disabled:bg-gray-500"
+          >
+            {isSubmitting && <Loader2 size={20} className="animate-spin mr-2" />}
+            {isSubmitting ? 'Saving...' : 'Save Product'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// uploaded photos of a saved product (POST /api/products/:id/images). These
+// apply straight away; `onChange(product, removedUrls)` gets the result
+function ProductPhotos({ product, adminKey, onChange }) {
+  const [photos, setPhotos] = useState(product.photos || []);
+  const [makeMain, setMakeMain] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const send = async (request, fallback, removedUrls) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      const response = await request();
+      setPhotos(response.data.photos);
+      onChange(response.data, removedUrls);
+    } catch (err) {
+      console.error("Error updating photos:", err);
+      setError(errorText(apiError(err, fallback)));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleUpload = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // so picking the same file again still uploads
+    if (!file) return;
+    const body = new FormData();
+    body.append('image', file);
+    send(() => apiClient.post(`/products/${product._id}/images`, body, {
+      headers: adminHeaders(adminKey),
+      params: makeMain ? { primary: true } : {},
+    }), "Failed to upload image.");
+  };
+
+  const handleDelete = (photo) => {
+    send(
+      () => apiClient.delete(`/products/${product._id}/images/${photo._id}`, { headers: adminHeaders(adminKey) }),
+      "Failed to delete image.",
+      photo.sizes.map(size => size.url)
+    );
+  };
+
+  return (
+    <div>
+      <span className="block text-sm font-medium text-gray-300 mb-2">Photos</span>
+      {error && <p className="text-red-400 text-sm mb-2">{error}</p>}
+      {photos.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {photos.map(photo => (
+            <div key={photo._id} className="relative w-20 h-20">
+              <img
+                src={photo.sizes.find(size => size.name === 'thumb')?.url}
+                alt=""
+                onError={showPlaceholder}
+                className="w-full h-full rounded object-cover"
+              />
+              <button
+                type="button"
+                onClick={() => handleDelete(photo)}
+                disabled={isBusy}
+                className="absolute top-1 right-1 p-1 rounded-full bg-gray-900/80 text-red-400 hover:text-red-300 disabled:opacity-50"
+                aria-label="Delete photo"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="flex flex-wrap items-center gap-4">
+        <label className={`flex items-center text-sm font-medium ${isBusy ? 'text-gray-500' : 'text-indigo-400 hover:text-indigo-300 cursor-pointer'}`}>
+          {isBusy ? <Loader2 size={16} className="animate-spin mr-1" /> : <Upload size={16} className="mr-1" />}
+          {isBusy ? 'Working...' : 'Upload photo'}
+          <input type="file" accept="image/jpeg,image/png,image/webp" onChange={handleUpload} disabled={isBusy} className="sr-only" />
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+          <input type="checkbox" checked={makeMain} onChange={(e) => setMakeMain(e.target.checked)} />
+          Make it the main image
+        </label>
+      </div>
+      <p className="text-xs text-gray-400 mt-1">JPEG, PNG or WebP, up to 5 MB. Resized for the store automatically.</p>
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Eye, EyeOff, Loader2 } from 'lucide-react';
+import { apiClient, adminHeaders, apiError } from './api';
+import { StarRating } from './Reviews';
+
+const REVIEW_FILTERS = [
+  { value: '', label: 'All reviews' },
+  { value: 'false', label: 'Visible' },
+  { value: 'true', label: 'Hidden' },
+];
+
+// admin screen's Reviews tab - newest first, hide/show each one.
+// Hidden reviews drop off the product page and out of its rating
+export default function ReviewModeration({ adminKey }) {
+  const [reviews, setReviews] = useState([]);
+  const [meta, setMeta] = useState({ total: 0, page: 1, hasMore: false });
+  const [hidden, setHidden] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchReviews = useCallback(async (page = 1) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await apiClient.get('/admin/reviews', {
+        headers: adminHeaders(adminKey),
+        params: { hidden: hidden || undefined, page }
+      });
+      const { reviews: pageReviews, ...pageMeta } = response.data;
+      setReviews(prev => (page === 1 ? pageReviews : [...prev, ...pageReviews]));
+      setMeta(pageMeta);
+    } catch (err) {
+      console.error("Error fetching reviews:", err);
+      setError(apiError(err, "Failed to load reviews.").message);
+    } finally {
+      setLoading(false);
+    }
+  }, [adminKey, hidden]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  const handleToggleHidden = async (review) => {
+    try {
+      const response = await apiClient.patch(
+        `/admin/reviews/${review._id}`,
+        { hidden: !review.hidden },
+        { headers: adminHeaders(adminKey) }
+      );
+      setReviews(prev => prev.map(r => (r._id === review._id ? response.data : r)));
+    } catch (err) {
+      console.error("Error moderating review:", err);
+      setError(apiError(err, "Failed to update review.").message);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <p className="text-gray-400">{meta.total} review{meta.total === 1 ? '' : 's'}</p>
+        <select
+          value={hidden}
+          onChange={(e) => setHidden(e.target.value)}
+          className="bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          aria-label="Filter reviews"
+        >
+          {REVIEW_FILTERS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p className="mb-4 text-red-400">{error}</p>}
+
+      <ul className="space-y-3">
+        {reviews.map(review => (
+          <li
+            key={review._id}
+            className={`bg-gray-800/70 border border-gray-700 rounded-lg p-4 flex gap-4 ${review.hidden ? 'opacity-50' : ''}`}
+          >
+            <div className="flex-grow">
+              <div className="flex items-center gap-3">
+                <StarRating value={review.rating} />
+                <span className="text-sm text-gray-400">{review.product?.name || 'Deleted product'}</span>
+              </div>
+              <p className="text-white font-semibold mt-2">{review.title}</p>
+              {review.body && <p className="text-gray-300 mt-1 whitespace-pre-line">{review.body}</p>}
+              <p className="text-sm text-gray-400 mt-2">
+                {review.author.name} &lt;{review.author.email}&gt; · {new Date(review.createdAt).toLocaleString()}
+                {review.verifiedPurchase && ' · verified purchase'}
+              </p>
+            </div>
+            <button
+              onClick={() => handleToggleHidden(review)}
+              className="self-start p-2 rounded-full text-gray-400 hover:bg-gray-700 hover:text-white"
+              aria-label={review.hidden ? 'Show review' : 'Hide review'}
+            >
+              {review.hidden ? <Eye size={18} /> : <EyeOff size={18} />}
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {loading && (
+        <div className="flex justify-center py-8">
+          <Loader2 size={32} className="animate-spin text-indigo-400" />
+        </div>
+      )}
+      {!loading && reviews.length === 0 && <p className="text-gray-400">No reviews.</p>}
+      {!loading && meta.hasMore && (
+        <button
+          onClick={() => fetchReviews(meta.page + 1)}
+          className="mt-4 text-indigo-400 hover:text-indigo-300 font-medium"
+        >
+          Load more
+        </button>
+      )}
+    </div>
+  );
+}
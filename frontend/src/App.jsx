@@ -1,137 +1,382 @@
-import React, { useState, useEffect } from 'react';
-import axios from 'axios';
-import { ShoppingCart, Trash2, X, Loader2, Minus, Plus, CreditCard, ShoppingBag } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { Routes, Route, Link, Navigate, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { ShoppingCart, Trash2, X, Loader2, Minus, Plus, CreditCard, ShoppingBag, Settings, Search, Tag, User, LogOut, ArrowLeft } from 'lucide-react';
+import { apiClient, getAuthToken, setAuthToken, clearAuthToken, getCartToken, apiError, errorText } from './api';
+import { useEventStream, useStoreEvent } from './events';
+import { formatMoney, toMinorUnits } from './money';
+import AdminPanel from './AdminPanel';
+import AuthModal from './AuthModal';
+import ProductPage from './ProductPage';
+import { StarRating } from './Reviews';
+import OrderPage, { orderPath } from './OrderPage';
+import VariantPicker, { StockNote } from './VariantPicker';
+import { CategoryNav, Breadcrumbs, categoryPath } from './Categories';
+import { productImage } from './images';
+import { variantLabel, hasVariants, findVariant, useVariantSelection } from './variants';
 
+// countries we ship to, for the checkout address form
+const SHIPPING_COUNTRIES = [
+  { code: 'US', name: 'United States' },
+  { code: 'CA', name: 'Canada' },
+  { code: 'GB', name: 'United Kingdom' },
+  { code: 'DE', name: 'Germany' },
+  { code: 'FR', name: 'France' },
+  { code: 'IN', name: 'India' },
+  { code: 'AU', name: 'Australia' },
+];
 
-// API client setup
-const apiClient = axios.create({
-  baseURL: 'http://localhost:5001/api'
-});
+// catalog filters, mirrored in the URL query string so searches can be shared
+const CATALOG_FILTER_KEYS = ['q', 'category', 'minPrice', 'maxPrice', 'sort'];
+const EMPTY_FILTERS = Object.fromEntries(CATALOG_FILTER_KEYS.map(key => [key, '']));
+
+const SORT_OPTIONS = [
+  { value: '', label: 'Featured' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'price_asc', label: 'Price: Low to High' },
+  { value: 'price_desc', label: 'Price: High to Low' },
+  { value: 'name', label: 'Name' },
+];
+
+// optimistic cart edits - the server's cart replaces these once it answers
+function withQuantityChange(cart, cartItemId, delta) {
+  return {
+    ...cart,
+    cartItems: cart.cartItems
+      .map(item => (item._id === cartItemId ? { ...item, quantity: item.quantity + delta } : item))
+      .filter(item => item.quantity > 0)
+  };
+}
+
+function withoutItem(cart, cartItemId) {
+  return { ...cart, cartItems: cart.cartItems.filter(item => item._id !== cartItemId) };
+}
+
+function readFilters(searchParams) {
+  return Object.fromEntries(CATALOG_FILTER_KEYS.map(key => [key, searchParams.get(key) || '']));
+}
+
+// drop empty filters so they don't clutter the URL/request
+function filtersToParams(filters) {
+  return Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+}
+
+// the URL holds prices in dollars (readable), the API wants cents
+function filtersToApiParams(filters) {
+  const params = filtersToParams(filters);
+  for (const key of ['minPrice', 'maxPrice']) {
+    if (params[key] === undefined) continue;
+    // half-typed or not a number ("-", "1e", "abc") - leave it out rather than send NaN
+    const minor = toMinorUnits(params[key]);
+    if (Number.isFinite(minor)) params[key] = minor;
+    else delete params[key];
+  }
+  return params;
+}
 
 export default function App() {
+  const navigate = useNavigate();
+
   // Main app state
-  const [products, setProducts] = useState([]);
-  const [cart, setCart] = useState(null); // Will hold { cartItems: [], total: 0 }
+  const [cart, setCart] = useState(null); // Will hold { cartItems: [], subtotal, discounts: [], total, coupon, version }
+  const [cartToken, setCartToken] = useState(null); // which cart's live updates to listen for
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   
   // UI state
-  const [isCartOpen, setIsCartOpen] = useState(false);
-  const [isCheckoutModalOpen, setIsCheckoutModalOpen] = useState(false);
+  const [isCartOpen, setIsCartOpen] = useState(false); // quick-view sidebar, pops open on add
+  const [user, setUser] = useState(null); // signed-in customer, if any
+  const [isAuthModalOpen, setIsAuthModalOpen] = useState(false);
+  const [menu, setMenu] = useState(null); // { categories, collections } for the header
+
+  // newest cart the server has sent, and how many optimistic changes are in flight
+  const serverCart = useRef(null);
+  const pendingCartChanges = useRef(0);
+
+  // Idempotency-Key of the checkout being submitted. Resubmitting the same
+  // details (double click, network blip) reuses it, so the server hands back
+  // the first result instead of placing a second order
+  const checkoutAttempt = useRef(null);
+
+  // show a cart straight from the server
+  const showCart = useCallback((data) => {
+    serverCart.current = data;
+    setCart(data);
+    setCartToken(getCartToken()); // the api client keeps whatever token the server sent
+  }, []);
+
+  // keep a response only if it's newer than what we have
+  const keepNewestCart = (data) => {
+    if (!serverCart.current || data.version >= serverCart.current.version) {
+      serverCart.current = data;
+    }
+  };
+
+  // === LIVE UPDATES ===
+  // see events.js. Pages patch their own products; here we keep the cart current
+
+  useEventStream(cartToken);
+
+  // fetch the cart, unless one of our own changes is in flight - its response
+  // brings the newest cart anyway
+  const refreshCart = async () => {
+    if (pendingCartChanges.current > 0) return;
+    try {
+      const response = await apiClient.get('/cart');
+      keepNewestCart(response.data);
+      if (pendingCartChanges.current === 0) setCart(serverCart.current);
+    } catch (err) {
+      console.error("Error refreshing cart:", err);
+    }
+  };
+
+  // changed in another tab (or by a checkout) - we already have our own versions
+  useStoreEvent('cart', ({ version }) => {
+    if (!serverCart.current || version > serverCart.current.version) refreshCart();
+  });
+
+  // a price or stock change to something in the cart changes its totals too
+  useStoreEvent('product', (product) => {
+    if (serverCart.current?.cartItems.some(item => item.product?._id === product._id)) refreshCart();
+  });
 
-  // Initial data load (products + cart)
+  useStoreEvent('resync', refreshCart);
+
+  // Initial data load (session + cart - each page loads its own data)
   useEffect(() => {
     const fetchInitialData = async () => {
       try {
         setLoading(true);
         setError(null);
+
+        // restore the session first so /cart resolves to the user's cart
+        if (getAuthToken()) {
+          try {
+            const meResponse = await apiClient.get('/auth/me');
+            setUser(meResponse.data);
+          } catch (err) {
+            // expired or revoked - carry on as a guest
+            if (err.response?.status !== 401) throw err;
+            clearAuthToken();
+          }
+        }
         
-        // fetch all data at once
-        const [productsResponse, cartResponse] = await Promise.all([
-          apiClient.get('/products'),
-          apiClient.get('/cart')
-        ]);
-        
-        setProducts(productsResponse.data);
-        setCart(cartResponse.data);
+        const cartResponse = await apiClient.get('/cart');
+        showCart(cartResponse.data);
       } catch (err) {
         console.error("Error fetching data:", err);
-        setError("Failed to load store. Please check your connection.");
+        setError(apiError(err, "Failed to load store. Please check your connection."));
       } finally {
         setLoading(false);
       }
     };
 
     fetchInitialData();
-  }, []); // [] means run once on mount
+  }, [showCart]); // showCart is stable, so this runs once on mount
+
+  // the category menu. The store works without it, so a failure isn't fatal
+  useEffect(() => {
+    apiClient.get('/categories')
+      .then(response => setMenu(response.data))
+      .catch(err => console.error("Error fetching categories:", err));
+  }, []);
+
+  // === ACCOUNT ACTIONS ===
+
+  // signed in or registered - the server merged the guest cart into theirs
+  const handleAuthSuccess = async ({ token, user: signedInUser }) => {
+    setAuthToken(token);
+    setUser(signedInUser);
+    setIsAuthModalOpen(false);
+    const cartResponse = await apiClient.get('/cart');
+    showCart(cartResponse.data);
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await apiClient.post('/auth/logout');
+    } catch (err) {
+      // token's dropped locally either way
+      console.error("Error signing out:", err);
+    }
+    clearAuthToken();
+    setUser(null);
+    // fresh guest cart
+    const cartResponse = await apiClient.get('/cart');
+    showCart(cartResponse.data);
+  };
 
   // === CART ACTIONS ===
 
-  const handleAddToCart = async (productId, quantity = 1) => {
+  // apply a cart change optimistically: `optimistic(cart)` shows straight away
+  // and `request()` sends it. Responses can land out of order, so only the
+  // newest cart version is kept, and it's shown once nothing else is in flight.
+  // A failed change is rolled back by falling back to the server's cart.
+  const mutateCart = async (optimistic, request) => {
+    pendingCartChanges.current += 1;
+    setCart(prev => optimistic(prev));
     try {
-      // check if item already in cart to update qty
-      const existingItem = cart.cartItems.find(item => item.product._id === productId);
-      const newQuantity = existingItem ? existingItem.quantity + quantity : quantity;
+      const response = await request();
+      keepNewestCart(response.data);
+    } catch (err) {
+      // 409s carry the current cart, otherwise ask for it
+      let current = apiError(err).details?.cart;
+      if (!current) {
+        current = await apiClient.get('/cart').then(response => response.data).catch(() => null);
+      }
+      if (current) keepNewestCart(current);
+      throw err;
+    } finally {
+      pendingCartChanges.current -= 1;
+      if (pendingCartChanges.current === 0) setCart(serverCart.current);
+    }
+  };
 
-      // update or add item
-      await apiClient.post('/cart', { productId, quantity: newQuantity });
-      
-      // refetch cart to sync state
-      const cartResponse = await apiClient.get('/cart');
-      setCart(cartResponse.data);
+  const handleAddToCart = async (productId, quantity = 1, variantId = null) => {
+    // already in the cart? bump it right away (each size/color is its own line)
+    const existingItem = cart.cartItems.find(item => (
+      item.product?._id === productId && (item.variant || null) === variantId
+    ));
+
+    try {
+      // the server adds to the line, so quick repeat clicks all count
+      await mutateCart(
+        prev => (existingItem ? withQuantityChange(prev, existingItem._id, quantity) : prev),
+        () => apiClient.post('/cart', { productId, variantId, quantity })
+      );
       
       // pop open the cart
       setIsCartOpen(true);
       
     } catch (err) {
       console.error("Error adding to cart:", err);
-      setError("Failed to add item to cart.");
+      // out of stock / pick a size isn't fatal, just tell them
+      const error = apiError(err, "Failed to add item to cart.");
+      if (error.status === 409 || error.status === 400) {
+        alert(error.message);
+        return;
+      }
+      setError(error);
     }
   };
 
-  const handleUpdateQuantity = async (cartItemId, newQuantity) => {
-    // newQuantity < 1? just remove it
-    if (newQuantity < 1) {
-      handleRemoveFromCart(cartItemId);
-      return;
-    }
-
+  // +/- buttons send relative changes, so rapid clicks add up instead of racing
+  const handleChangeQuantity = async (cartItemId, delta) => {
     try {
-      // Find the item to get its product ID
-      const itemToUpdate = cart.cartItems.find(item => item._id === cartItemId);
-      if (!itemToUpdate) return;
-      
-      // API call
-      await apiClient.post('/cart', { productId: itemToUpdate.product._id, quantity: newQuantity });
-      
-      // refetch cart
-      const cartResponse = await apiClient.get('/cart');
-      setCart(cartResponse.data);
-      
+      await mutateCart(
+        prev => withQuantityChange(prev, cartItemId, delta),
+        () => apiClient.patch(`/cart/items/${cartItemId}`, delta > 0 ? { increment: delta } : { decrement: -delta })
+      );
     } catch (err) {
       console.error("Error updating quantity:", err);
-      setError("Failed to update cart.");
+      const error = apiError(err, "Failed to update cart.");
+      if (error.status === 409) {
+        alert(error.message);
+        return;
+      }
+      setError(error);
     }
   };
 
   const handleRemoveFromCart = async (cartItemId) => {
     try {
-      await apiClient.delete(`/cart/${cartItemId}`);
-      
-      // refetch cart
-      const cartResponse = await apiClient.get('/cart');
-      setCart(cartResponse.data);
-      
+      await mutateCart(
+        prev => withoutItem(prev, cartItemId),
+        () => apiClient.delete(`/cart/items/${cartItemId}`)
+      );
     } catch (err) {
       console.error("Error removing from cart:", err);
-      setError("Failed to remove item.");
+      setError(apiError(err, "Failed to remove item."));
+    }
+  };
+
+  // apply a discount code, or remove it with code = null.
+  // returns an error message for the form, or null on success
+  const handleApplyCoupon = async (code) => {
+    try {
+      const cartResponse = await apiClient.post('/cart/coupon', { code });
+      showCart(cartResponse.data);
+      return null;
+    } catch (err) {
+      console.error("Error applying coupon:", err);
+      return apiError(err, "Failed to apply code.").message;
     }
   };
 
+  // follow a cart reminder email's link - the server hands back the saved cart
+  // (and its token, which the api client keeps). Stable for RestoreCartPage's effect
+  const handleRestoreCart = useCallback(async (token) => {
+    const response = await apiClient.get(`/cart/restore/${token}`);
+    showCart(response.data);
+  }, [showCart]);
+
   const handleCheckout = () => {
     if (cart.cartItems.length === 0) return;
     setIsCartOpen(false);
-    setIsCheckoutModalOpen(true);
+    navigate('/checkout');
   };
 
-  const handleCheckoutSubmit = async (formData) => {
+  // price the cart for an address + shipping method (checkout review step)
+  // (stable so the modal's quote effect doesn't refire on every render)
+  const handleQuote = useCallback(async ({ address, shippingMethod }) => {
+    const quoteResponse = await apiClient.post('/checkout/quote', { address, shippingMethod });
+    return quoteResponse.data;
+  }, []);
+
+  const handleCheckoutSubmit = async ({ customer, address, shippingMethod, paymentMethod }) => {
+    const body = { customer, address, shippingMethod, paymentMethod };
+    const fingerprint = JSON.stringify(body);
+    if (checkoutAttempt.current?.fingerprint !== fingerprint) {
+      checkoutAttempt.current = { fingerprint, key: window.crypto.randomUUID() };
+    }
+
     try {
-      // call checkout endpoint
-      const receipt = await apiClient.post('/checkout', {
-        customer: formData,
-        cartItems: cart.cartItems,
+      // call checkout endpoint - server prices the stored cart, we just send who's buying and where to
+      const receipt = await apiClient.post('/checkout', body, {
+        headers: { 'Idempotency-Key': checkoutAttempt.current.key }
       });
+      checkoutAttempt.current = null;
 
-      // clear cart on success
-      setIsCheckoutModalOpen(false);
-      setCart({ cartItems: [], total: 0 }); // clear locally
-      
-      // temp alert, replace with toast or success page
-      alert(`Checkout Successful! Order ID: ${receipt.data.order.orderId}`);
+      // 201 = paid, 202 = payment still processing - the order page
+      // polls until the provider confirms either way
+      navigate(orderPath(receipt.data.order));
+
+      // the server clears purchased items once paid, resync the cart
+      const cartResponse = await apiClient.get('/cart');
+      showCart(cartResponse.data);
       
     } catch (err) {
       console.error("Error during checkout:", err);
-      setError("Checkout failed. Please try again.");
+      const error = apiError(err, "Checkout failed. Please try again.");
+      // the first submit is still running and will navigate when it's done
+      if (error.code === 'CHECKOUT_IN_PROGRESS') return;
+      // no answer - keep the key so trying again can't order twice
+      if (error.code === 'NETWORK_ERROR' || error.status >= 500) {
+        alert(`${error.message} You won't be charged twice.`);
+        return;
+      }
+      // anything else is final, the next submit is a new attempt
+      checkoutAttempt.current = null;
+      // declined - stay on checkout so they can pick another payment method
+      if (error.code === 'PAYMENT_DECLINED') {
+        alert(error.message);
+        return;
+      }
+      // oversold lines / used-up coupon - explain and send them back to the cart to fix it
+      if (error.status === 409) {
+        const lines = (error.code === 'OUT_OF_STOCK' ? error.details : [])
+          .map(line => `- ${line.name}: ${line.available} left (you wanted ${line.requested})`);
+        alert([error.message, ...lines].join('\n'));
+        const cartResponse = await apiClient.get('/cart');
+        showCart(cartResponse.data);
+        navigate('/cart');
+        return;
+      }
+      // bad form input - let them fix it
+      if (error.status === 400) {
+        alert(errorText(error, '\n'));
+        return;
+      }
+      setError(error);
     }
   };
   
@@ -144,7 +389,7 @@ export default function App() {
 
   // Error state
   if (error) {
-    return <ErrorDisplay message={error} />;
+    return <ErrorDisplay error={error} />;
   }
 
   // Main App
@@ -152,34 +397,71 @@ export default function App() {
     <div className="min-h-screen font-sans">
       <Header
         cartItemCount={cart?.cartItems?.length || 0}
-        onCartClick={() => setIsCartOpen(true)}
+        user={user}
+        menu={menu}
+        onSignInClick={() => setIsAuthModalOpen(true)}
+        onSignOutClick={handleSignOut}
       />
 
-      {/* Product Grid */}
       <main className="container mx-auto max-w-7xl px-4 py-8">
-        <h1 className="text-4xl font-bold text-white mb-8 bg-gradient-to-r from-indigo-400 to-purple-400 bg-clip-text text-transparent">
-          Welcome to the Vibe
-        </h1>
-        <ProductGrid
-          products={products}
-          onAddToCart={handleAddToCart}
-        />
+        <Routes>
+          <Route path="/" element={<StorePage onAddToCart={handleAddToCart} />} />
+          <Route path="/products/:id" element={<ProductPage onAddToCart={handleAddToCart} user={user} />} />
+          <Route path="/categories/:slug" element={<CategoryPage onAddToCart={handleAddToCart} />} />
+          <Route
+            path="/cart"
+            element={(
+              <CartPage
+                cart={cart}
+                onChangeQuantity={handleChangeQuantity}
+                onRemoveItem={handleRemoveFromCart}
+                onApplyCoupon={handleApplyCoupon}
+                onCheckout={handleCheckout}
+              />
+            )}
+          />
+          <Route
+            path="/checkout"
+            element={cart.cartItems.length === 0 ? <Navigate to="/cart" replace /> : (
+              <CheckoutPage
+                cart={cart}
+                user={user}
+                onApplyCoupon={handleApplyCoupon}
+                onQuote={handleQuote}
+                onSubmit={handleCheckoutSubmit}
+              />
+            )}
+          />
+          <Route
+            path="/cart/restore/:token"
+            element={(
+              <RestoreCartPage
+                user={user}
+                onRestore={handleRestoreCart}
+                onSignInClick={() => setIsAuthModalOpen(true)}
+              />
+            )}
+          />
+          <Route path="/orders/:id" element={<OrderPage />} />
+          <Route path="/admin" element={<AdminPanel />} />
+          <Route path="*" element={<NotFound />} />
+        </Routes>
       </main>
 
       <CartSidebar
         isOpen={isCartOpen}
         cart={cart}
         onClose={() => setIsCartOpen(false)}
-        onUpdateQuantity={handleUpdateQuantity}
+        onChangeQuantity={handleChangeQuantity}
         onRemoveItem={handleRemoveFromCart}
+        onApplyCoupon={handleApplyCoupon}
         onCheckout={handleCheckout}
       />
 
-      {isCheckoutModalOpen && (
-        <CheckoutModal
-          total={cart.total}
-          onClose={() => setIsCheckoutModalOpen(false)}
-          onSubmit={handleCheckoutSubmit}
+      {isAuthModalOpen && (
+        <AuthModal
+          onClose={() => setIsAuthModalOpen(false)}
+          onSuccess={handleAuthSuccess}
         />
       )}
     </div>
@@ -189,30 +471,477 @@ export default function App() {
 // === COMPONENTS ===
 // Breaking out components for readability
 
-function Header({ cartItemCount, onCartClick }) {
+function Header({ cartItemCount, user, menu, onSignInClick, onSignOutClick }) {
   return (
     <header className="bg-gray-800 border-b border-gray-700 shadow-lg sticky top-0 z-50">
       <nav className="container mx-auto max-w-7xl px-4 py-4 flex justify-between items-center">
-        <div className="flex items-center gap-2 text-2xl font-bold text-white tracking-tight">
+        <Link
+          to="/"
+          className="flex items-center gap-2 text-2xl font-bold text-white tracking-tight"
+        >
           <ShoppingBag className="text-indigo-400" size={28} />
           <div>
             <span className="text-indigo-400">Vibe</span>Commerce
           </div>
+        </Link>
+        <div className="flex items-center gap-2">
+          {user ? (
+            <>
+              <span className="hidden sm:inline text-sm text-gray-300">Hi, {user.name}</span>
+              <button
+                onClick={onSignOutClick}
+                className="rounded-full p-2 text-gray-300 hover:bg-gray-700 hover:text-white transition-colors"
+                aria-label="Sign out"
+              >
+                <LogOut size={24} />
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={onSignInClick}
+              className="flex items-center gap-1 rounded-full px-3 py-2 text-sm font-medium text-gray-300 hover:bg-gray-700 hover:text-white transition-colors"
+            >
+              <User size={20} />
+              Sign in
+            </button>
+          )}
+          <Link
+            to="/admin"
+            className="rounded-full p-2 text-gray-300 hover:bg-gray-700 hover:text-white transition-colors"
+            aria-label="Manage products"
+          >
+            <Settings size={24} />
+          </Link>
+          <Link
+            to="/cart"
+            className="relative rounded-full p-2 text-gray-300 hover:bg-gray-700 hover:text-white transition-colors"
+            aria-label="Open cart"
+          >
+            <ShoppingCart size={24} />
+            {cartItemCount > 0 && (
+              <span className="absolute -top-1 -right-1 flex h-5 w-5 items-center justify-center rounded-full bg-red-500 text-xs font-bold text-white">
+                {cartItemCount}
+              </span>
+            )}
+          </Link>
+        </div>
+      </nav>
+      <CategoryNav menu={menu} />
+    </header>
+  );
+}
+
+// --- Pages ---
+
+// / - the catalog. Filters live in the query string so searches can be shared
+function StorePage({ onAddToCart }) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => readFilters(searchParams), [searchParams]);
+  const [products, setProducts] = useState([]);
+  const [catalog, setCatalog] = useState({ total: 0, page: 1, hasMore: false, categories: [] });
+  const [productsLoading, setProductsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // replace rather than push, so typing a search doesn't flood the history
+  const setFilters = useCallback((next) => {
+    setSearchParams(filtersToParams(next), { replace: true });
+  }, [setSearchParams]);
+
+  // fetch a page of products for the current filters.
+  // page 1 replaces the grid, later pages append ("load more")
+  const latestProductsRequest = useRef(0);
+  const loadProducts = useCallback(async (page = 1) => {
+    const requestId = ++latestProductsRequest.current;
+    try {
+      setProductsLoading(true);
+      setError(null);
+      const response = await apiClient.get('/products', {
+        params: { ...filtersToApiParams(filters), page }
+      });
+
+      // filters changed while we waited, a newer request wins
+      if (requestId !== latestProductsRequest.current) return;
+
+      const { products: pageProducts, ...meta } = response.data;
+      setProducts(prev => (page === 1 ? pageProducts : [...prev, ...pageProducts]));
+      setCatalog(meta);
+    } catch (err) {
+      console.error("Error fetching products:", err);
+      setError(errorText(apiError(err, "Failed to load products. Please check your connection.")));
+    } finally {
+      if (requestId === latestProductsRequest.current) {
+        setProductsLoading(false);
+      }
+    }
+  }, [filters]);
+
+  // filters changed - start over from page 1
+  useEffect(() => {
+    loadProducts(1);
+  }, [loadProducts]);
+
+  // live price/stock edits. Archived products drop out; new ones wait for a reload
+  useStoreEvent('product', (product) => {
+    setProducts(prev => (product.archived
+      ? prev.filter(p => p._id !== product._id)
+      : prev.map(p => (p._id === product._id ? product : p))));
+  });
+  useStoreEvent('resync', () => loadProducts(1));
+
+  return (
+    <>
+      {/* Product Grid */}
+      <h1 className="text-4xl font-bold text-white mb-8 bg-gradient-to-r from-indigo-400 to-purple-400 bg-clip-text text-transparent">
+        Welcome to the Vibe
+      </h1>
+      <CatalogControls
+        filters={filters}
+        categories={catalog.categories}
+        total={catalog.total}
+        onChange={setFilters}
+      />
+      {error && <p className="mb-6 text-red-400">{error}</p>}
+      {products.length === 0 && !productsLoading ? (
+        <div className="text-center text-gray-400 py-16">
+          <p className="text-xl mb-4">No products match your filters.</p>
+          <button
+            onClick={() => setFilters(EMPTY_FILTERS)}
+            className="text-indigo-400 hover:text-indigo-300 font-medium"
+          >
+            Clear filters
+          </button>
         </div>
+      ) : (
+        <ProductGrid
+          products={products}
+          onAddToCart={onAddToCart}
+        />
+      )}
+      {/* Load more */}
+      <div className="flex justify-center mt-8">
+        {productsLoading ? (
+          <Loader2 size={32} className="animate-spin text-indigo-400" />
+        ) : catalog.hasMore && (
+          <button
+            onClick={() => loadProducts(catalog.page + 1)}
+            className="bg-gray-800 border border-gray-700 text-white font-semibold py-2 px-6 rounded-lg hover:bg-gray-700 transition-colors"
+          >
+            Load more
+          </button>
+        )}
+      </div>
+    </>
+  );
+}
+
+// /categories/:slug - a category (with its subcategories' products) or a
+// collection, in its own order. Same sort as the catalog, kept in ?sort=
+function CategoryPage({ onAddToCart }) {
+  const { slug } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const sort = searchParams.get('sort') || '';
+  const [category, setCategory] = useState(null);
+  const [products, setProducts] = useState([]);
+  const [listing, setListing] = useState({ total: 0, page: 1, hasMore: false });
+  const [productsLoading, setProductsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // page 1 replaces the grid, later pages append ("load more")
+  const latestProductsRequest = useRef(0);
+  const loadProducts = useCallback(async (page = 1) => {
+    const requestId = ++latestProductsRequest.current;
+    try {
+      setProductsLoading(true);
+      setError(null);
+      const response = await apiClient.get(`/categories/${slug}/products`, {
+        params: { ...(sort && { sort }), page }
+      });
+
+      // moved to another category while we waited, a newer request wins
+      if (requestId !== latestProductsRequest.current) return;
+
+      const { category: loaded, products: pageProducts, ...meta } = response.data;
+      setCategory(loaded);
+      setProducts(prev => (page === 1 ? pageProducts : [...prev, ...pageProducts]));
+      setListing(meta);
+    } catch (err) {
+      console.error("Error fetching category:", err);
+      if (requestId !== latestProductsRequest.current) return;
+      const { code, message } = apiError(err, "Failed to load products. Please check your connection.");
+      setError(code === 'NOT_FOUND' ? "We couldn't find that category." : message);
+    } finally {
+      if (requestId === latestProductsRequest.current) {
+        setProductsLoading(false);
+      }
+    }
+  }, [slug, sort]);
+
+  useEffect(() => {
+    loadProducts(1);
+  }, [loadProducts]);
+
+  // a different category - don't show the last one's header meanwhile
+  useEffect(() => {
+    setCategory(null);
+    setProducts([]);
+  }, [slug]);
+
+  useStoreEvent('product', (product) => {
+    setProducts(prev => (product.archived
+      ? prev.filter(p => p._id !== product._id)
+      : prev.map(p => (p._id === product._id ? product : p))));
+  });
+  useStoreEvent('resync', () => loadProducts(1));
+
+  if (error && !category) {
+    return (
+      <div className="text-center text-gray-400 py-16">
+        <p className="text-xl mb-4">{error}</p>
+        <Link to="/" className="text-indigo-400 hover:text-indigo-300 font-medium">Back to the store</Link>
+      </div>
+    );
+  }
+
+  if (!category) {
+    return (
+      <div className="flex justify-center py-16">
+        <Loader2 size={36} className="animate-spin text-indigo-400" />
+      </div>
+    );
+  }
+
+  const handleSortChange = (e) => {
+    setSearchParams(e.target.value ? { sort: e.target.value } : {}, { replace: true });
+  };
+
+  return (
+    <>
+      <Breadcrumbs trail={category.breadcrumbs} />
+      <h1 className="text-4xl font-bold text-white mb-2">{category.name}</h1>
+      {category.description && <p className="text-gray-300 mb-4">{category.description}</p>}
+      {category.children.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {category.children.map(child => (
+            <Link
+              key={child.slug}
+              to={categoryPath(child.slug)}
+              className="rounded-full border border-gray-700 bg-gray-800 px-3 py-1 text-sm text-gray-300 hover:bg-gray-700 hover:text-white"
+            >
+              {child.name}
+            </Link>
+          ))}
+        </div>
+      )}
+      <div className="flex items-center justify-between mb-6">
+        <p className="text-sm text-gray-400">{listing.total} {listing.total === 1 ? 'product' : 'products'}</p>
+        <select
+          value={sort}
+          onChange={handleSortChange}
+          aria-label="Sort by"
+          className="bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        >
+          {SORT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+      {error && <p className="mb-6 text-red-400">{error}</p>}
+      {products.length === 0 && !productsLoading ? (
+        <p className="text-center text-gray-400 py-16 text-xl">Nothing here yet.</p>
+      ) : (
+        <ProductGrid products={products} onAddToCart={onAddToCart} />
+      )}
+      {/* Load more */}
+      <div className="flex justify-center mt-8">
+        {productsLoading ? (
+          <Loader2 size={32} className="animate-spin text-indigo-400" />
+        ) : listing.hasMore && (
+          <button
+            onClick={() => loadProducts(listing.page + 1)}
+            className="bg-gray-800 border border-gray-700 text-white font-semibold py-2 px-6 rounded-lg hover:bg-gray-700 transition-colors"
+          >
+            Load more
+          </button>
+        )}
+      </div>
+    </>
+  );
+}
+
+// /cart - the full cart page (the sidebar is the quick view)
+function CartPage({ cart, onChangeQuantity, onRemoveItem, onApplyCoupon, onCheckout }) {
+  if (cart.cartItems.length === 0) {
+    return (
+      <div className="flex flex-col items-center py-16 text-gray-400">
+        <ShoppingCart size={64} className="mb-4" />
+        <p className="text-xl mb-4">Your cart is empty.</p>
+        <Link to="/" className="text-indigo-400 hover:text-indigo-300 font-medium">Continue shopping</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <h1 className="text-3xl font-bold text-white mb-6">Your Cart</h1>
+      <ul className="divide-y divide-gray-700 mb-6">
+        {cart.cartItems.map((item) => (
+          <CartItem
+            key={item._id}
+            item={item}
+            onChangeQuantity={onChangeQuantity}
+            onRemoveItem={onRemoveItem}
+          />
+        ))}
+      </ul>
+      <div className="bg-gray-800/70 border border-gray-700 rounded-lg p-5">
+        <CouponForm coupon={cart.coupon} onApply={onApplyCoupon} />
+        <CartTotals cart={cart} />
         <button
-          onClick={onCartClick}
-          className="relative rounded-full p-2 text-gray-300 hover:bg-gray-700 hover:text-white transition-colors"
-          aria-label="Open cart"
+          onClick={onCheckout}
+          className="w-full bg-indigo-500 text-white font-semibold py-3 px-4 rounded-lg hover:bg-indigo-600 transition-colors"
         >
-          <ShoppingCart size={24} />
-          {cartItemCount > 0 && (
-            <span className="absolute -top-1 -right-1 flex h-5 w-5 items-center justify-center rounded-full bg-red-500 text-xs font-bold text-white">
-              {cartItemCount}
-            </span>
-          )}
+          Proceed to Checkout
         </button>
-      </nav>
-    </header>
+      </div>
+    </div>
+  );
+}
+
+// landing page for the link in a cart reminder email - restores the cart and
+// moves on to it. A customer's cart needs them signed in first
+function RestoreCartPage({ user, onRestore, onSignInClick }) {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [error, setError] = useState(null);
+
+  // reruns when `user` changes, i.e. once they've signed in
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+    onRestore(token)
+      .then(() => {
+        if (!cancelled) navigate('/cart', { replace: true });
+      })
+      .catch((err) => {
+        console.error("Error restoring cart:", err);
+        if (cancelled) return;
+        const { status, message } = apiError(err, "Couldn't restore your cart.");
+        setError({ message, needsSignIn: status === 401 });
+      });
+    return () => { cancelled = true; };
+  }, [token, user, onRestore, navigate]);
+
+  if (!error) {
+    return (
+      <div className="flex flex-col items-center py-16 text-gray-400">
+        <Loader2 size={48} className="animate-spin text-indigo-400 mb-4" />
+        <p>Restoring your cart...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="text-center text-gray-400 py-16">
+      <p className="text-xl mb-4">{error.message}</p>
+      {error.needsSignIn ? (
+        <button onClick={onSignInClick} className="text-indigo-400 hover:text-indigo-300 font-medium">Sign in</button>
+      ) : (
+        <Link to="/" className="text-indigo-400 hover:text-indigo-300 font-medium">Back to the store</Link>
+      )}
+    </div>
+  );
+}
+
+function NotFound() {
+  return (
+    <div className="text-center text-gray-400 py-16">
+      <p className="text-xl mb-4">Page not found.</p>
+      <Link to="/" className="text-indigo-400 hover:text-indigo-300 font-medium">Back to the store</Link>
+    </div>
+  );
+}
+
+// --- Store Components ---
+
+function CatalogControls({ filters, categories, total, onChange }) {
+  // text inputs are held locally and committed once typing stops,
+  // so we don't fire a request per keystroke
+  const [draft, setDraft] = useState({ q: filters.q, minPrice: filters.minPrice, maxPrice: filters.maxPrice });
+
+  // filters reset from outside (e.g. "Clear filters") - reset the draft too
+  useEffect(() => {
+    setDraft({ q: filters.q, minPrice: filters.minPrice, maxPrice: filters.maxPrice });
+  }, [filters.q, filters.minPrice, filters.maxPrice]);
+
+  useEffect(() => {
+    const isDirty = Object.keys(draft).some(key => draft[key] !== filters[key]);
+    if (!isDirty) return;
+    const timer = setTimeout(() => onChange({ ...filters, ...draft }), 400);
+    return () => clearTimeout(timer);
+  }, [draft, filters, onChange]);
+
+  const handleDraftChange = (e) => {
+    const { name, value } = e.target;
+    setDraft(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSelectChange = (e) => {
+    const { name, value } = e.target;
+    onChange({ ...filters, ...draft, [name]: value });
+  };
+
+  const inputClass = "bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+  return (
+    <div className="mb-8">
+      <div className="flex flex-wrap gap-3">
+        {/* Search bar */}
+        <div className="relative flex-grow min-w-[14rem]">
+          <Search size={20} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="search"
+            name="q"
+            value={draft.q}
+            onChange={handleDraftChange}
+            placeholder="Search products..."
+            aria-label="Search products"
+            className={`${inputClass} w-full pl-10`}
+          />
+        </div>
+        <select name="category" value={filters.category} onChange={handleSelectChange} aria-label="Category" className={inputClass}>
+          <option value="">All categories</option>
+          {categories.map(category => (
+            <option key={category} value={category}>{category}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          name="minPrice"
+          min="0"
+          value={draft.minPrice}
+          onChange={handleDraftChange}
+          placeholder="Min $"
+          aria-label="Minimum price"
+          className={`${inputClass} w-24`}
+        />
+        <input
+          type="number"
+          name="maxPrice"
+          min="0"
+          value={draft.maxPrice}
+          onChange={handleDraftChange}
+          placeholder="Max $"
+          aria-label="Maximum price"
+          className={`${inputClass} w-24`}
+        />
+        <select name="sort" value={filters.sort} onChange={handleSelectChange} aria-label="Sort by" className={inputClass}>
+          {SORT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+      <p className="text-sm text-gray-400 mt-3">{total} {total === 1 ? 'product' : 'products'}</p>
+    </div>
   );
 }
 
@@ -232,44 +961,57 @@ function ProductGrid({ products, onAddToCart }) {
 
 function ProductCard({ product, onAddToCart }) {
   const [isAdding, setIsAdding] = useState(false);
+  const { selection, select, variant, price, stock, image, isUnavailable } = useVariantSelection(product);
+  const isSoldOut = stock <= 0;
 
   const handleClick = async () => {
     setIsAdding(true);
-    await onAddToCart(product._id);
+    await onAddToCart(product._id, 1, variant ? variant._id : null);
     setIsAdding(false);
   };
 
   return (
     <div className="group bg-gray-800/70 border border-gray-700 rounded-lg shadow-lg overflow-hidden flex flex-col transition-all duration-300 hover:shadow-indigo-500/20 hover:border-gray-600">
-      <img
-        src={product.image}
-        alt={product.name}
-        className="w-full h-56 object-cover transition-transform duration-300 group-hover:scale-110"
-        // img fallback
-        onError={(e) => { e.target.src = 'https://placehold.co/400x400?text=Image+Missing'; }}
-      />
+      <Link to={`/products/${product._id}`} className="overflow-hidden">
+        <img
+          {...productImage(product, image, 'grid')}
+          alt={product.name}
+          className="w-full h-56 object-cover transition-transform duration-300 group-hover:scale-110"
+        />
+      </Link>
       <div className="p-5 flex flex-col flex-grow">
-        <h3 className="text-lg font-semibold text-white mb-2">{product.name}</h3>
-        <p className="text-xl font-bold text-indigo-400 mb-4">${product.price.toFixed(2)}</p>
+        <h3 className="text-lg font-semibold text-white mb-2">
+          <Link to={`/products/${product._id}`} className="hover:text-indigo-300">{product.name}</Link>
+        </h3>
+        {product.description && (
+          <p className="text-sm text-gray-400 mb-2 line-clamp-2">{product.description}</p>
+        )}
+        {product.rating?.count > 0 && (
+          <StarRating value={product.rating.average} count={product.rating.count} className="mb-2" />
+        )}
+        <p className="text-xl font-bold text-indigo-400 mb-1">{formatMoney(price, product.currency)}</p>
+        <VariantPicker product={product} selection={selection} onSelect={select} />
+        {/* stock badge */}
+        <StockNote stock={stock} isUnavailable={isUnavailable} className="mt-2 mb-4" />
         
         <button
           onClick={handleClick}
-          disabled={isAdding}
-          className="mt-auto w-full flex items-center justify-center bg-gradient-to-r from-indigo-500 to-purple-500 text-white font-semibold py-2 px-4 rounded-lg hover:from-indigo-600 hover:to-purple-600 transition-all duration-300 disabled:bg-gray-500 disabled:cursor-not-allowed transform translate-y-2 opacity-0 group-hover:opacity-100 group-hover:translate-y-0"
+          disabled={isAdding || isSoldOut}
+          className="mt-auto w-full flex items-center justify-center bg-gradient-to-r from-indigo-500 to-purple-500 text-white font-semibold py-2 px-4 rounded-lg hover:from-indigo-600 hover:to-purple-600 transition-all duration-300 disabled:from-gray-600 disabled:to-gray-600 disabled:cursor-not-allowed transform translate-y-2 opacity-0 group-hover:opacity-100 group-hover:translate-y-0"
         >
           {isAdding ? (
             <Loader2 size={20} className="animate-spin" />
           ) : (
             <ShoppingCart size={20} className="mr-2" />
           )}
-          {isAdding ? 'Adding...' : 'Add to Cart'}
+          {isAdding ? 'Adding...' : isSoldOut ? 'Sold Out' : 'Add to Cart'}
         </button>
       </div>
     </div>
   );
 }
 
-function CartSidebar({ isOpen, cart, onClose, onUpdateQuantity, onRemoveItem, onCheckout }) {
+function CartSidebar({ isOpen, cart, onClose, onChangeQuantity, onRemoveItem, onApplyCoupon, onCheckout }) {
   return (
     <>
       {/* Overlay */}
@@ -307,7 +1049,7 @@ function CartSidebar({ isOpen, cart, onClose, onUpdateQuantity, onRemoveItem, on
                   <CartItem
                     key={item._id}
                     item={item}
-                    onUpdateQuantity={onUpdateQuantity}
+                    onChangeQuantity={onChangeQuantity}
                     onRemoveItem={onRemoveItem}
                   />
                 ))}
@@ -323,12 +1065,8 @@ function CartSidebar({ isOpen, cart, onClose, onUpdateQuantity, onRemoveItem, on
           {/* Cart Footer */}
           {cart && cart.cartItems.length > 0 && (
             <div className="p-5 border-t border-gray-700 bg-gray-800">
-              <div className="flex justify-between items-center mb-4">
-                <span className="text-lg font-medium text-gray-300">Subtotal:</span>
-                <span className="text-2xl font-bold text-white">
-                  ${cart.total.toFixed(2)}
-                </span>
-              </div>
+              <CouponForm coupon={cart.coupon} onApply={onApplyCoupon} />
+              <CartTotals cart={cart} />
               <button
                 onClick={onCheckout}
                 className="w-full bg-indigo-500 text-white font-semibold py-3 px-4 rounded-lg hover:bg-indigo-600 transition-colors"
@@ -343,35 +1081,48 @@ function CartSidebar({ isOpen, cart, onClose, onUpdateQuantity, onRemoveItem, on
   );
 }
 
-function CartItem({ item, onUpdateQuantity, onRemoveItem }) {
+function CartItem({ item, onChangeQuantity, onRemoveItem }) {
   // safety check for deleted products
   if (!item.product) {
     return null; 
   }
+
+  // a line on a product with variants but no (or a removed) variant can't be bought
+  const variant = findVariant(item.product, item.variant);
+  const needsVariant = hasVariants(item.product) && !variant;
+  const stock = variant ? variant.stock : item.product.stock;
   
   return (
     <li className="flex py-4 px-2 hover:bg-gray-700/50 rounded-lg transition-colors">
       <img
-        src={item.product.image}
+        {...productImage(item.product, variant?.image || item.product.image, 'thumb')}
         alt={item.product.name}
         className="w-20 h-20 rounded-lg object-cover"
       />
       <div className="ml-4 flex-grow">
         <h4 className="text-lg font-semibold text-white">{item.product.name}</h4>
-        <p className="text-sm text-gray-400">${item.product.price.toFixed(2)}</p>
+        {variant && <p className="text-sm text-gray-300">{variantLabel(variant)}</p>}
+        <p className="text-sm text-gray-400">{formatMoney(variant?.price ?? item.product.price, item.product.currency)}</p>
+        {item.product.archived && (
+          <p className="text-sm text-amber-400">No longer available</p>
+        )}
+        {!item.product.archived && needsVariant && (
+          <p className="text-sm text-amber-400">This option is no longer available - remove it and pick another</p>
+        )}
         <div className="flex items-center justify-between mt-2">
           {/* Qty buttons */}
           <div className="flex items-center border border-gray-700 rounded-md">
             <button
-              onClick={() => onUpdateQuantity(item._id, item.quantity - 1)}
+              onClick={() => onChangeQuantity(item._id, -1)}
               className="p-1 text-gray-400 hover:text-white"
             >
               <Minus size={16} />
             </button>
             <span className="px-3 text-white font-medium">{item.quantity}</span>
             <button
-              onClick={() => onUpdateQuantity(item._id, item.quantity + 1)}
-              className="p-1 text-gray-400 hover:text-white"
+              onClick={() => onChangeQuantity(item._id, 1)}
+              disabled={needsVariant || item.quantity >= stock}
+              className="p-1 text-gray-400 hover:text-white disabled:opacity-40 disabled:cursor-not-allowed"
             >
               <Plus size={16} />
             </button>
@@ -389,79 +1140,357 @@ function CartItem({ item, onUpdateQuantity, onRemoveItem }) {
   );
 }
 
-function CheckoutModal({ total, onClose, onSubmit }) {
-  const [formData, setFormData] = useState({ name: '', email: '' });
+// /checkout - two steps: contact + shipping address, then shipping method and a server quote
+function CheckoutPage({ cart, user, onApplyCoupon, onQuote, onSubmit }) {
+  const [step, setStep] = useState('details'); // 'details' | 'review'
+  const [paymentConfig, setPaymentConfig] = useState(null); // { provider, paymentMethods }
+  const [configError, setConfigError] = useState(null);
+  // signed-in customers start with their details and last address filled in
+  const [formData, setFormData] = useState({ name: user?.name || '', email: user?.email || '' });
+  const [address, setAddress] = useState(() => ({
+    line1: '', line2: '', city: '', region: '', postalCode: '', country: 'US',
+    ...user?.address
+  }));
+  const [shippingMethod, setShippingMethod] = useState('standard');
+  const [paymentMethod, setPaymentMethod] = useState('');
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
 
+  // re-quote whenever the method or cart (e.g. coupon) changes on the review step
+  useEffect(() => {
+    if (step !== 'review') return;
+    let ignore = false;
+    setQuoteError(null);
+    onQuote({ address, shippingMethod })
+      .then((data) => { if (!ignore) setQuote(data); })
+      .catch((err) => {
+        console.error("Error fetching quote:", err);
+        if (ignore) return;
+        setQuote(null);
+        setQuoteError(errorText(apiError(err, "Couldn't price your order.")));
+      });
+    return () => { ignore = true; };
+  }, [step, address, shippingMethod, cart, onQuote]);
+
+  // which payment methods to offer
+  useEffect(() => {
+    apiClient.get('/payments/config')
+      .then((response) => setPaymentConfig(response.data))
+      .catch((err) => {
+        console.error("Error loading payment options:", err);
+        setConfigError("Failed to load payment options.");
+      });
+  }, []);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({ ...prev, [name]: value }));
   };
 
+  const handleAddressChange = (e) => {
+    const { name, value } = e.target;
+    setAddress(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleDetailsSubmit = (e) => {
+    e.preventDefault();
+    setQuote(null);
+    setStep('review');
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsSubmitting(true);
-    await onSubmit(formData);
+    await onSubmit({ customer: formData, address, shippingMethod, paymentMethod });
     setIsSubmitting(false);
   };
 
+  const inputClass = "w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-indigo-500";
+  const labelClass = "block text-sm font-medium text-gray-300 mb-1";
+
   return (
-    <div className="fixed inset-0 bg-black/60 z-50 flex items-center justify-center p-4">
-      <div className="bg-gray-800 rounded-lg shadow-2xl w-full max-w-md">
-        <div className="flex justify-between items-center p-5 border-b border-gray-700">
-          <h2 className="text-2xl font-bold text-white">Checkout</h2>
-          <button onClick={onClose} className="p-2 rounded-full text-gray-400 hover:bg-gray-700 hover:text-white">
-            <X size={24} />
-          </button>
+    <div className="max-w-md mx-auto">
+      <Link to="/cart" className="inline-flex items-center text-sm text-gray-400 hover:text-white mb-4">
+        <ArrowLeft size={16} className="mr-1" />
+        Back to cart
+      </Link>
+      <div className="bg-gray-800 rounded-lg shadow-2xl w-full">
+        <div className="p-5 border-b border-gray-700">
+          <h1 className="text-2xl font-bold text-white">
+            {step === 'details' ? 'Checkout' : 'Review & Pay'}
+          </h1>
         </div>
         
-        <form onSubmit={handleSubmit} className="p-5">
-          <div className="mb-4">
-            <label htmlFor="name" className="block text-sm font-medium text-gray-300 mb-1">Full Name</label>
-            <input
-              type="text"
-              id="name"
-              name="name"
-              value={formData.name}
-              onChange={handleChange}
-              required
-              className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-indigo-500"
-              placeholder="John Doe"
-            />
-          </div>
-          <div className="mb-6">
-            <label htmlFor="email" className="block text-sm font-medium text-gray-300 mb-1">Email</label>
-            <input
-              type="email"
-              id="email"
-              name="email"
-              value={formData.email}
-              onChange={handleChange}
-              required
-              className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-indigo-500"
-              placeholder="john.doe@example.com"
-            />
-          </div>
-          
-          <div className="border-t border-gray-700 pt-4">
-            <div className="flex justify-between items-center mb-4">
-              <span className="text-lg font-medium text-gray-300">Total:</span>
-              <span className="text-2xl font-bold text-white">${total.toFixed(2)}</span>
+        {step === 'details' ? (
+          <form onSubmit={handleDetailsSubmit} className="p-5">
+            <div className="mb-4">
+              <label htmlFor="name" className={labelClass}>Full Name</label>
+              <input
+                type="text"
+                id="name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                required
+                className={inputClass}
+                placeholder="John Doe"
+              />
+            </div>
+            <div className="mb-6">
+              <label htmlFor="email" className={labelClass}>Email</label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={formData.email}
+                onChange={handleChange}
+                required
+                className={inputClass}
+                placeholder="john.doe@example.com"
+              />
+            </div>
+
+            {/* Shipping address */}
+            <h3 className="text-lg font-semibold text-white mb-3">Shipping Address</h3>
+            <div className="mb-4">
+              <label htmlFor="line1" className={labelClass}>Address</label>
+              <input type="text" id="line1" name="line1" value={address.line1} onChange={handleAddressChange} required className={inputClass} placeholder="123 Vibe Street" />
+            </div>
+            <div className="mb-4">
+              <input type="text" name="line2" value={address.line2} onChange={handleAddressChange} aria-label="Address line 2" className={inputClass} placeholder="Apartment, suite, etc. (optional)" />
             </div>
+            <div className="flex gap-4 mb-4">
+              <div className="flex-1">
+                <label htmlFor="city" className={labelClass}>City</label>
+                <input type="text" id="city" name="city" value={address.city} onChange={handleAddressChange} required className={inputClass} />
+              </div>
+              <div className="w-32">
+                <label htmlFor="region" className={labelClass}>State / Province</label>
+                <input type="text" id="region" name="region" value={address.region} onChange={handleAddressChange} className={inputClass} placeholder="CA" />
+              </div>
+            </div>
+            <div className="flex gap-4 mb-6">
+              <div className="w-32">
+                <label htmlFor="postalCode" className={labelClass}>Postal Code</label>
+                <input type="text" id="postalCode" name="postalCode" value={address.postalCode} onChange={handleAddressChange} required className={inputClass} />
+              </div>
+              <div className="flex-1">
+                <label htmlFor="country" className={labelClass}>Country</label>
+                <select id="country" name="country" value={address.country} onChange={handleAddressChange} className={inputClass}>
+                  {SHIPPING_COUNTRIES.map(country => (
+                    <option key={country.code} value={country.code}>{country.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
             <button
               type="submit"
-              disabled={isSubmitting}
-              className="w-full flex items-center justify-center bg-green-500 text-white font-semibold py-3 px-4 rounded-lg hover:bg-green-600 transition-colors duration-300 disabled:bg-gray-500"
+              className="w-full bg-indigo-500 text-white font-semibold py-3 px-4 rounded-lg hover:bg-indigo-600 transition-colors"
             >
-              {isSubmitting ? (
-                <Loader2 size={24} className="animate-spin" />
-              ) : (
-                <CreditCard size={24} className="mr-2" />
-              )}
-              {isSubmitting ? 'Processing...' : `Pay $${total.toFixed(2)}`}
+              Continue to Shipping
             </button>
-          </div>
-        </form>
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit} className="p-5">
+            <p className="text-sm text-gray-400 mb-4">
+              Shipping to {address.line1}, {address.city}{address.region && `, ${address.region}`} {address.postalCode}, {address.country}
+              {' '}
+              <button type="button" onClick={() => setStep('details')} className="text-indigo-400 hover:text-indigo-300">
+                Change
+              </button>
+            </p>
+
+            {/* Shipping method picker */}
+            <h3 className="text-lg font-semibold text-white mb-3">Shipping Method</h3>
+            <div className="space-y-2 mb-6">
+              {(quote?.shippingOptions || []).map(option => (
+                <label
+                  key={option.id}
+                  className={`flex justify-between items-center border rounded-lg px-3 py-2 cursor-pointer ${
+                    shippingMethod === option.id ? 'border-indigo-500 bg-gray-700/60' : 'border-gray-700'
+                  }`}
+                >
+                  <span className="flex items-center text-white">
+                    <input
+                      type="radio"
+                      name="shippingMethod"
+                      value={option.id}
+                      checked={shippingMethod === option.id}
+                      onChange={(e) => setShippingMethod(e.target.value)}
+                      className="mr-3"
+                    />
+                    {option.label}
+                  </span>
+                  <span className="text-gray-300">
+                    {option.amount === 0 ? 'Free' : formatMoney(option.amount, quote.currency)}
+                  </span>
+                </label>
+              ))}
+            </div>
+
+            {/* Payment method picker */}
+            <h3 className="text-lg font-semibold text-white mb-3">Payment</h3>
+            <div className="space-y-2 mb-6">
+              {configError && <p className="text-sm text-red-400">{configError}</p>}
+              {!paymentConfig && !configError && <Loader2 size={20} className="animate-spin text-indigo-400" />}
+              {paymentConfig?.paymentMethods.map(method => (
+                <label
+                  key={method.id}
+                  className={`flex items-center border rounded-lg px-3 py-2 cursor-pointer text-white ${
+                    paymentMethod === method.id ? 'border-indigo-500 bg-gray-700/60' : 'border-gray-700'
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="paymentMethod"
+                    value={method.id}
+                    checked={paymentMethod === method.id}
+                    onChange={(e) => setPaymentMethod(e.target.value)}
+                    required
+                    className="mr-3"
+                  />
+                  {method.label}
+                </label>
+              ))}
+            </div>
+
+            <div className="border-t border-gray-700 pt-4">
+              <CouponForm coupon={cart.coupon} onApply={onApplyCoupon} />
+              {quoteError && <p className="text-sm text-red-400 mb-4">{quoteError}</p>}
+              {quote ? (
+                <CartTotals cart={quote} />
+              ) : !quoteError && (
+                <div className="flex justify-center py-4">
+                  <Loader2 size={24} className="animate-spin text-indigo-400" />
+                </div>
+              )}
+              <button
+                type="submit"
+                disabled={isSubmitting || !quote || !paymentMethod}
+                className="w-full flex items-center justify-center bg-green-500 text-white font-semibold py-3 px-4 rounded-lg hover:bg-green-600 transition-colors duration-300 disabled:bg-gray-500"
+              >
+                {isSubmitting ? (
+                  <Loader2 size={24} className="animate-spin" />
+                ) : (
+                  <CreditCard size={24} className="mr-2" />
+                )}
+                {isSubmitting ? 'Processing...' : quote ? `Pay ${formatMoney(quote.total, quote.currency)}` : 'Pay'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// discount code entry - shows the applied code with a remove button once set
+function CouponForm({ coupon, onApply }) {
+  const [code, setCode] = useState('');
+  const [isApplying, setIsApplying] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  const apply = async (value) => {
+    setIsApplying(true);
+    const applyError = await onApply(value);
+    setFormError(applyError);
+    if (!applyError) setCode('');
+    setIsApplying(false);
+  };
+
+  const handleSubmit = (e) => {
+    // this can sit inside the checkout form, don't submit that
+    e.preventDefault();
+    e.stopPropagation();
+    if (code.trim()) apply(code.trim());
+  };
+
+  if (coupon) {
+    return (
+      <div className="mb-4">
+        <div className="flex justify-between items-center bg-gray-700/60 rounded-lg px-3 py-2">
+          <span className="flex items-center text-sm text-white">
+            <Tag size={16} className="mr-2 text-indigo-400" />
+            <span className="font-semibold mr-2">{coupon.code}</span>
+            <span className="text-gray-400">{coupon.description}</span>
+          </span>
+          <button
+            type="button"
+            onClick={() => apply(null)}
+            disabled={isApplying}
+            className="text-gray-400 hover:text-white"
+            aria-label="Remove code"
+          >
+            <X size={16} />
+          </button>
+        </div>
+        {/* code is on the cart but doesn't apply any more (e.g. cart dropped below the minimum) */}
+        {!coupon.applied && coupon.message && (
+          <p className="text-sm text-amber-400 mt-1">{coupon.message}</p>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-4">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') handleSubmit(e); }}
+          placeholder="Discount code"
+          aria-label="Discount code"
+          className="flex-grow bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white uppercase placeholder:normal-case placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+        <button
+          type="button"
+          onClick={handleSubmit}
+          disabled={isApplying || !code.trim()}
+          className="bg-gray-700 text-white font-semibold px-4 rounded-lg hover:bg-gray-600 transition-colors disabled:opacity-50"
+        >
+          {isApplying ? <Loader2 size={20} className="animate-spin" /> : 'Apply'}
+        </button>
+      </div>
+      {formError && <p className="text-sm text-red-400 mt-1">{formError}</p>}
+    </div>
+  );
+}
+
+// subtotal, discount lines and total
+function CartTotals({ cart }) {
+  return (
+    <div className="mb-4 space-y-1">
+      <div className="flex justify-between text-gray-300">
+        <span>Subtotal</span>
+        <span>{formatMoney(cart.subtotal, cart.currency)}</span>
+      </div>
+      {cart.discounts.map((discount) => (
+        <div key={discount.code} className="flex justify-between text-green-400">
+          <span>{discount.code} ({discount.description})</span>
+          <span>-{formatMoney(discount.amount, cart.currency)}</span>
+        </div>
+      ))}
+      {cart.shipping ? (
+        <div className="flex justify-between text-gray-300">
+          <span>Shipping ({cart.shipping.label})</span>
+          <span>{cart.shipping.amount === 0 ? 'Free' : formatMoney(cart.shipping.amount, cart.currency)}</span>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-400">Shipping & taxes calculated at checkout.</p>
+      )}
+      {cart.tax && (
+        <div className="flex justify-between text-gray-300">
+          <span>Tax ({cart.tax.jurisdiction}, {(cart.tax.rate * 100).toFixed(2).replace(/\.?0+$/, '')}%)</span>
+          <span>{formatMoney(cart.tax.amount, cart.currency)}</span>
+        </div>
+      )}
+      <div className="flex justify-between items-center pt-2">
+        <span className="text-lg font-medium text-gray-300">Total:</span>
+        <span className="text-2xl font-bold text-white">{formatMoney(cart.total, cart.currency)}</span>
       </div>
     </div>
   );
@@ -477,12 +1506,21 @@ function GlobalSpinner() {
   );
 }
 
-function ErrorDisplay({ message }) {
+// headings for the error codes a shopper is likely to hit (see backend/errors.js)
+const ERROR_TITLES = {
+  NETWORK_ERROR: "Can't Reach the Store",
+  NOT_FOUND: 'Not Found',
+  INTERNAL_ERROR: 'Something Went Wrong',
+};
+
+// `error` is an apiError() result
+function ErrorDisplay({ error }) {
   return (
     <div className="flex flex-col items-center justify-center h-screen text-center p-4">
       <X size={64} className="text-red-500 mb-4" />
-      <h2 className="text-2xl font-bold text-white mb-2">An Error Occurred</h2>
-      <p className="text-gray-400">{message}</p>
+      <h2 className="text-2xl font-bold text-white mb-2">{ERROR_TITLES[error.code] || 'An Error Occurred'}</h2>
+      <p className="text-gray-400">{error.message}</p>
+      {error.requestId && <p className="text-xs text-gray-500 mt-2">Reference: {error.requestId}</p>}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { Loader2, X } from 'lucide-react';
+import { apiClient, apiError, errorText } from './api';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// sign in / sign up. Hands { token, user } back to the app on success
+export default function AuthModal({ onClose, onSuccess }) {
+  const [mode, setMode] = useState('login'); // 'login' | 'register'
+  const [formData, setFormData] = useState({ name: '', email: '', password: '' });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  const isRegister = mode === 'register';
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const switchMode = () => {
+    setMode(isRegister ? 'login' : 'register');
+    setFormError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setFormError(null);
+    try {
+      const response = isRegister
+        ? await apiClient.post('/auth/register', formData)
+        : await apiClient.post('/auth/login', { email: formData.email, password: formData.password });
+      await onSuccess(response.data);
+    } catch (err) {
+      console.error("Error signing in:", err);
+      setFormError(errorText(apiError(err)));
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClass = "w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 flex items-center justify-center p-4">
+      <div className="bg-gray-800 rounded-lg shadow-2xl w-full max-w-sm">
+        <div className="flex justify-between items-center p-5 border-b border-gray-700">
+          <h2 className="text-2xl font-bold text-white">{isRegister ? 'Create Account' : 'Sign In'}</h2>
+          <button onClick={onClose} className="p-2 rounded-full text-gray-400 hover:bg-gray-700 hover:text-white">
+            <X size={24} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-5 space-y-4">
+          {formError && <p className="text-red-400 text-sm">{formError}</p>}
+          {isRegister && (
+            <div>
+              <label htmlFor="authName" className="block text-sm font-medium text-gray-300 mb-1">Full Name</label>
+              <input type="text" id="authName" name="name" value={formData.name} onChange={handleChange} required className={inputClass} />
+            </div>
+          )}
+          <div>
+            <label htmlFor="authEmail" className="block text-sm font-medium text-gray-300 mb-1">Email Address</label>
+            <input type="email" id="authEmail" name="email" value={formData.email} onChange={handleChange} required className={inputClass} />
+          </div>
+          <div>
+            <label htmlFor="authPassword" className="block text-sm font-medium text-gray-300 mb-1">Password</label>
+            <input
+              type="password"
+              id="authPassword"
+              name="password"
+              value={formData.password}
+              onChange={handleChange}
+              required
+              minLength={isRegister ? MIN_PASSWORD_LENGTH : undefined}
+              autoComplete={isRegister ? 'new-password' : 'current-password'}
+              className={inputClass}
+            />
+            {isRegister && <p className="mt-1 text-xs text-gray-400">At least {MIN_PASSWORD_LENGTH} characters.</p>}
+          </div>
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full flex items-center justify-center bg-indigo-500 text-white font-semibold py-3 px-4 rounded-lg hover:bg-indigo-600 transition-colors disabled:bg-gray-500"
+          >
+            {isSubmitting && <Loader2 size={20} className="animate-spin mr-2" />}
+            {isRegister ? 'Create Account' : 'Sign In'}
+          </button>
+          <p className="text-center text-sm text-gray-400">
+            {isRegister ? 'Already have an account?' : 'New here?'}{' '}
+            <button type="button" onClick={switchMode} className="text-indigo-400 hover:text-indigo-300 font-medium">
+              {isRegister ? 'Sign in' : 'Create an account'}
+            </button>
+          </p>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+
+// Category navigation (GET /api/categories) and breadcrumbs.
+// Categories nest (Apparel > Tops); collections are hand-picked lists
+// ("New Arrivals"). Both live at /categories/:slug
+
+export function categoryPath(slug) {
+  return `/categories/${slug}`;
+}
+
+// the menu row under the header: top-level categories, their subcategories
+// in a dropdown on hover/focus, then the collections
+export function CategoryNav({ menu }) {
+  const { categories = [], collections = [] } = menu || {};
+  if (categories.length === 0 && collections.length === 0) return null;
+
+  const linkClass = "block px-3 py-2 text-sm text-gray-300 hover:text-white whitespace-nowrap";
+
+  return (
+    <div className="border-t border-gray-700">
+      <ul className="container mx-auto max-w-7xl px-4 flex flex-wrap items-center">
+        {categories.map(category => (
+          <li key={category._id} className="relative group">
+            <Link to={categoryPath(category.slug)} className={`${linkClass} flex items-center gap-1`}>
+              {category.name}
+              {category.children.length > 0 && <ChevronDown size={14} />}
+            </Link>
+            {category.children.length > 0 && (
+              <ul className="absolute left-0 top-full hidden group-hover:block group-focus-within:block min-w-[10rem] rounded-b-lg bg-gray-800 border border-gray-700 shadow-lg py-1">
+                {category.children.map(child => (
+                  <li key={child._id}>
+                    <Link to={categoryPath(child.slug)} className={linkClass}>{child.name}</Link>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+        {collections.map(collection => (
+          <li key={collection._id}>
+            <Link to={categoryPath(collection.slug)} className={`${linkClass} text-indigo-300`}>
+              {collection.name}
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Store > Apparel > Tops [> current]. `trail` is [{ name, slug }] from the
+// top down, as the API sends it; `current` (unlinked) ends it, if given
+export function Breadcrumbs({ trail, current }) {
+  const crumbs = current ? trail : trail.slice(0, -1);
+  const last = current || trail[trail.length - 1]?.name;
+
+  return (
+    <nav aria-label="Breadcrumb" className="mb-6">
+      <ol className="flex flex-wrap items-center gap-1 text-sm text-gray-400">
+        <li>
+          <Link to="/" className="hover:text-white">Store</Link>
+        </li>
+        {crumbs.map(crumb => (
+          <li key={crumb.slug} className="flex items-center gap-1">
+            <ChevronRight size={14} />
+            <Link to={categoryPath(crumb.slug)} className="hover:text-white">{crumb.name}</Link>
+          </li>
+        ))}
+        {last && (
+          <li className="flex items-center gap-1 text-gray-200" aria-current="page">
+            <ChevronRight size={14} />
+            {last}
+          </li>
+        )}
+      </ol>
+    </nav>
+  );
+}
@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { CheckCircle2, Clock, Loader2, PackageCheck, Truck, XCircle } from 'lucide-react';
+import { apiClient, apiError } from './api';
+import { formatMoney } from './money';
+
+// async payments: how often/long to poll a pending order
+const PAYMENT_POLL_INTERVAL_MS = 2000;
+const PAYMENT_POLL_TIMEOUT_MS = 60000;
+
+const STATUS_BANNERS = {
+  paid: { icon: CheckCircle2, className: 'text-green-400', title: 'Thank you for your order!' },
+  placed: { icon: CheckCircle2, className: 'text-green-400', title: 'Thank you for your order!' },
+  pending_payment: { icon: Clock, className: 'text-amber-400', title: 'Waiting for payment confirmation...' },
+  failed: { icon: XCircle, className: 'text-red-400', title: 'Payment failed' },
+  shipped: { icon: Truck, className: 'text-indigo-400', title: 'Your order is on its way' },
+  delivered: { icon: PackageCheck, className: 'text-green-400', title: 'Your order was delivered' },
+  refunded: { icon: CheckCircle2, className: 'text-gray-300', title: 'This order was refunded' },
+  cancelled: { icon: XCircle, className: 'text-gray-300', title: 'This order was cancelled' },
+};
+
+// the happy path, for the progress timeline (see backend/orders.js)
+const TIMELINE_STEPS = [
+  { label: 'Placed', at: order => order.timestamp },
+  { label: 'Paid', at: order => order.paidAt },
+  { label: 'Shipped', at: order => order.shippedAt },
+  { label: 'Delivered', at: order => order.deliveredAt },
+];
+const OFF_TIMELINE_STATUSES = ['failed', 'cancelled', 'refunded'];
+
+// link to an order's page. The access token (in checkout's receipt and the
+// admin order list) lets it show without signing in
+export const orderPath = order => (
+  order.accessToken ? `/orders/${order.orderId}?token=${encodeURIComponent(order.accessToken)}` : `/orders/${order.orderId}`
+);
+
+// /orders/:id?token= - the receipt. Pending payments are polled until the provider settles them
+export default function OrderPage() {
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || undefined;
+  const [order, setOrder] = useState(null);
+  const [error, setError] = useState(null);
+  const [pollTimedOut, setPollTimedOut] = useState(false);
+
+  useEffect(() => {
+    let ignore = false;
+    let timer;
+    const deadline = Date.now() + PAYMENT_POLL_TIMEOUT_MS;
+    setError(null);
+    setPollTimedOut(false);
+
+    const fetchOrder = async () => {
+      try {
+        const response = await apiClient.get(`/orders/${id}`, { params: { token } });
+        if (ignore) return;
+        setOrder(response.data);
+        if (response.data.status === 'pending_payment') {
+          if (Date.now() < deadline) {
+            timer = setTimeout(fetchOrder, PAYMENT_POLL_INTERVAL_MS);
+          } else {
+            setPollTimedOut(true);
+          }
+        }
+      } catch (err) {
+        console.error("Error fetching order:", err);
+        if (ignore) return;
+        const { code, message } = apiError(err, "Failed to load order.");
+        setError(code === 'NOT_FOUND' || code === 'VALIDATION_ERROR' ? "We couldn't find that order." : message);
+      }
+    };
+
+    fetchOrder();
+    return () => {
+      ignore = true;
+      clearTimeout(timer);
+    };
+  }, [id, token]);
+
+  if (error) {
+    return (
+      <div className="text-center text-gray-400 py-16">
+        <p className="text-xl mb-4">{error}</p>
+        <Link to="/" className="text-indigo-400 hover:text-indigo-300 font-medium">Back to the store</Link>
+      </div>
+    );
+  }
+
+  if (!order) {
+    return (
+      <div className="flex justify-center py-16">
+        <Loader2 size={36} className="animate-spin text-indigo-400" />
+      </div>
+    );
+  }
+
+  const banner = STATUS_BANNERS[order.status] || STATUS_BANNERS.placed;
+  const BannerIcon = banner.icon;
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <div className="flex items-center gap-3 mb-2">
+        <BannerIcon size={32} className={banner.className} />
+        <h1 className="text-3xl font-bold text-white">{banner.title}</h1>
+      </div>
+      <p className="text-gray-400 mb-6">
+        Order <span className="font-mono text-gray-300">{order.orderId}</span> · placed {new Date(order.timestamp).toLocaleString()}
+      </p>
+      {order.status === 'pending_payment' && pollTimedOut && (
+        <p className="mb-6 text-amber-400">Your payment is still processing. Check back on this page in a little while.</p>
+      )}
+      {order.status === 'failed' && order.payment?.failureReason && (
+        <p className="mb-6 text-red-400">{order.payment.failureReason}</p>
+      )}
+      {order.status === 'cancelled' && order.cancelReason && (
+        <p className="mb-6 text-gray-300">{order.cancelReason}</p>
+      )}
+
+      {!OFF_TIMELINE_STATUSES.includes(order.status) && <OrderTimeline order={order} />}
+      {order.tracking && (
+        <p className="mb-6 text-gray-300">
+          Tracking: <span className="font-mono">{[order.tracking.carrier, order.tracking.number].filter(Boolean).join(' ')}</span>
+        </p>
+      )}
+
+      <div className="bg-gray-800/70 border border-gray-700 rounded-lg p-5 mb-6">
+        <ul className="divide-y divide-gray-700">
+          {order.items.map((item, index) => (
+            <li key={index} className="flex justify-between py-3 text-gray-300">
+              <span>
+                {item.name}
+                {item.options && <span className="text-gray-400"> ({item.options})</span>}
+                <span className="text-gray-400"> × {item.quantity}</span>
+              </span>
+              <span className="font-medium">{formatMoney(item.price * item.quantity, order.currency)}</span>
+            </li>
+          ))}
+        </ul>
+        <div className="border-t border-gray-700 pt-3 mt-1 space-y-1 text-gray-300">
+          <div className="flex justify-between">
+            <span>Subtotal</span>
+            <span>{formatMoney(order.subtotal, order.currency)}</span>
+          </div>
+          {order.discounts.map(discount => (
+            <div key={discount.code} className="flex justify-between text-green-400">
+              <span>{discount.code}</span>
+              <span>-{formatMoney(discount.amount, order.currency)}</span>
+            </div>
+          ))}
+          {order.shipping && (
+            <div className="flex justify-between">
+              <span>Shipping ({order.shipping.label})</span>
+              <span>{order.shipping.amount === 0 ? 'Free' : formatMoney(order.shipping.amount, order.currency)}</span>
+            </div>
+          )}
+          {order.tax && (
+            <div className="flex justify-between">
+              <span>Tax</span>
+              <span>{formatMoney(order.tax.amount, order.currency)}</span>
+            </div>
+          )}
+          <div className="flex justify-between text-xl font-bold text-white pt-2">
+            <span>Total</span>
+            <span>{formatMoney(order.total, order.currency)}</span>
+          </div>
+        </div>
+      </div>
+
+      {order.shippingAddress && (
+        <div className="bg-gray-800/70 border border-gray-700 rounded-lg p-5 mb-6 text-gray-300">
+          <h2 className="text-lg font-semibold text-white mb-2">Shipping to</h2>
+          <p>{order.customer.name}</p>
+          <p>{order.shippingAddress.line1}</p>
+          {order.shippingAddress.line2 && <p>{order.shippingAddress.line2}</p>}
+          <p>
+            {order.shippingAddress.city}{order.shippingAddress.region && `, ${order.shippingAddress.region}`} {order.shippingAddress.postalCode}
+          </p>
+          <p>{order.shippingAddress.country}</p>
+          <p className="mt-2 text-sm text-gray-400">
+            {order.paidAt ? `We've emailed a confirmation to ${order.customer.email}.` : `A receipt has been saved for ${order.customer.email}.`}
+          </p>
+        </div>
+      )}
+
+      <Link to="/" className="text-indigo-400 hover:text-indigo-300 font-medium">Continue shopping</Link>
+    </div>
+  );
+}
+
+// Placed -> Paid -> Shipped -> Delivered, ticking off the steps that have happened
+function OrderTimeline({ order }) {
+  return (
+    <ol className="flex mb-6">
+      {TIMELINE_STEPS.map(step => {
+        const at = step.at(order);
+        return (
+          <li key={step.label} className="flex-1">
+            <div className={`h-1 rounded mr-1 ${at ? 'bg-indigo-400' : 'bg-gray-700'}`} />
+            <p className={`mt-2 text-sm font-medium ${at ? 'text-white' : 'text-gray-500'}`}>{step.label}</p>
+            {at && <p className="text-xs text-gray-400">{new Date(at).toLocaleDateString()}</p>}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, Loader2, ShoppingCart } from 'lucide-react';
+import { apiClient, apiError } from './api';
+import { useStoreEvent } from './events';
+import { formatMoney } from './money';
+import { useVariantSelection } from './variants';
+import VariantPicker, { StockNote } from './VariantPicker';
+import ProductReviews, { StarRating } from './Reviews';
+import { Breadcrumbs } from './Categories';
+import { productImage } from './images';
+
+// /products/:id - gallery, description, variant picker, reviews and related products
+export default function ProductPage({ onAddToCart, user }) {
+  const { id } = useParams();
+  const [product, setProduct] = useState(null);
+  const [error, setError] = useState(null);
+  const [revision, setRevision] = useState(0); // bumped by live updates, to load it again
+
+  useEffect(() => {
+    setProduct(null);
+    setError(null);
+  }, [id]);
+
+  useEffect(() => {
+    let ignore = false;
+    apiClient.get(`/products/${id}`)
+      .then((response) => { if (!ignore) setProduct(response.data); })
+      .catch((err) => {
+        console.error("Error fetching product:", err);
+        if (ignore) return;
+        const { code, message } = apiError(err, "Failed to load product.");
+        setError(code === 'NOT_FOUND' || code === 'VALIDATION_ERROR' ? "We couldn't find that product." : message);
+      });
+    return () => { ignore = true; };
+  }, [id, revision]);
+
+  // live edits (see events.js). The event is the bare product, without the
+  // gallery, related products and breadcrumbs, so load the page's version again
+  useStoreEvent('product', (updated) => {
+    if (product && product._id === updated._id) setRevision(count => count + 1);
+  });
+
+  if (error) {
+    return (
+      <div className="text-center text-gray-400 py-16">
+        <p className="text-xl mb-4">{error}</p>
+        <Link to="/" className="text-indigo-400 hover:text-indigo-300 font-medium">Back to the store</Link>
+      </div>
+    );
+  }
+
+  if (!product) {
+    return (
+      <div className="flex justify-center py-16">
+        <Loader2 size={36} className="animate-spin text-indigo-400" />
+      </div>
+    );
+  }
+
+  // keyed so the picker/gallery start fresh when moving to a related product
+  return <ProductDetails key={product._id} product={product} user={user} onAddToCart={onAddToCart} />;
+}
+
+function ProductDetails({ product, user, onAddToCart }) {
+  const { selection, select, variant, price, stock, image, isUnavailable } = useVariantSelection(product);
+  const [activeImage, setActiveImage] = useState(image);
+  // a live update can take away the photo being shown
+  const shownImage = product.gallery.includes(activeImage) ? activeImage : image;
+  const [rating, setRating] = useState(product.rating); // updates when they post a review
+  const [isAdding, setIsAdding] = useState(false);
+  const isSoldOut = stock <= 0;
+
+  // picking a variant with its own photo shows that photo
+  useEffect(() => {
+    setActiveImage(image);
+  }, [image]);
+
+  const handleClick = async () => {
+    setIsAdding(true);
+    await onAddToCart(product._id, 1, variant ? variant._id : null);
+    setIsAdding(false);
+  };
+
+  return (
+    <div>
+      {product.breadcrumbs?.length > 0 ? (
+        <Breadcrumbs trail={product.breadcrumbs} current={product.name} />
+      ) : (
+        <Link to="/" className="inline-flex items-center text-sm text-gray-400 hover:text-white mb-6">
+          <ArrowLeft size={16} className="mr-1" />
+          Back to the store
+        </Link>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+        {/* Gallery */}
+        <div>
+          <img
+            {...productImage(product, shownImage, 'detail')}
+            alt={product.name}
+            className="w-full aspect-square rounded-lg object-cover bg-gray-800"
+          />
+          {product.gallery.length > 1 && (
+            <div className="flex gap-2 mt-3">
+              {product.gallery.map(url => (
+                <button
+                  key={url}
+                  onClick={() => setActiveImage(url)}
+                  className={`w-16 h-16 rounded overflow-hidden border-2 ${url === shownImage ? 'border-indigo-400' : 'border-transparent'}`}
+                  aria-label="Show image"
+                >
+                  <img {...productImage(product, url, 'thumb')} alt="" className="w-full h-full object-cover" />
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Details */}
+        <div className="flex flex-col">
+          <p className="text-sm uppercase tracking-wide text-gray-400 mb-1">{product.category}</p>
+          <h1 className="text-3xl font-bold text-white mb-2">{product.name}</h1>
+          {rating.count > 0 && (
+            <StarRating value={rating.average} count={rating.count} size={18} className="mb-3" />
+          )}
+          <p className="text-2xl font-bold text-indigo-400 mb-4">{formatMoney(price, product.currency)}</p>
+          {product.description && <p className="text-gray-300 mb-4">{product.description}</p>}
+
+          {product.archived ? (
+            <p className="text-amber-400 font-medium">This product is no longer available.</p>
+          ) : (
+            <>
+              <VariantPicker product={product} selection={selection} onSelect={select} />
+              <StockNote stock={stock} isUnavailable={isUnavailable} className="mt-3 mb-4" />
+              <button
+                onClick={handleClick}
+                disabled={isAdding || isSoldOut}
+                className="w-full sm:w-auto flex items-center justify-center bg-gradient-to-r from-indigo-500 to-purple-500 text-white font-semibold py-3 px-6 rounded-lg hover:from-indigo-600 hover:to-purple-600 transition-all duration-300 disabled:from-gray-600 disabled:to-gray-600 disabled:cursor-not-allowed"
+              >
+                {isAdding ? (
+                  <Loader2 size={20} className="animate-spin mr-2" />
+                ) : (
+                  <ShoppingCart size={20} className="mr-2" />
+                )}
+                {isAdding ? 'Adding...' : isSoldOut ? 'Sold Out' : 'Add to Cart'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      <ProductReviews productId={product._id} user={user} onRatingChange={setRating} />
+
+      {/* Related products */}
+      {product.related.length > 0 && (
+        <section className="mt-12">
+          <h2 className="text-2xl font-bold text-white mb-4">You might also like</h2>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {product.related.map(related => (
+              <Link
+                key={related._id}
+                to={`/products/${related._id}`}
+                className="bg-gray-800/70 border border-gray-700 rounded-lg overflow-hidden hover:border-gray-600 transition-colors"
+              >
+                <img {...productImage(related, related.image, 'grid')} alt={related.name} className="w-full h-36 object-cover" />
+                <div className="p-3">
+                  <p className="text-white font-medium truncate">{related.name}</p>
+                  <p className="text-indigo-400 font-semibold">{formatMoney(related.price, related.currency)}</p>
+                </div>
+              </Link>
+            ))}
+          </div>
+        </section>
+      )}
+    </div>
+  );
+}
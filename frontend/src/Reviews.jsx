@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { BadgeCheck, Loader2, Star } from 'lucide-react';
+import { apiClient, apiError, errorText } from './api';
+
+const REVIEW_SORTS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'highest', label: 'Highest rated' },
+  { value: 'lowest', label: 'Lowest rated' },
+];
+
+const EMPTY_REVIEW = { rating: 0, title: '', body: '', name: '', email: '' };
+
+// five stars, `value` rounded to whole stars. `count` shows as (12) after them
+export function StarRating({ value, count, size = 16, className = '' }) {
+  const filled = Math.round(value);
+  return (
+    <div className={`flex items-center gap-1 ${className}`} aria-label={`Rated ${value} out of 5`}>
+      {[1, 2, 3, 4, 5].map(star => (
+        <Star
+          key={star}
+          size={size}
+          className={star <= filled ? 'text-amber-400 fill-amber-400' : 'text-gray-600'}
+        />
+      ))}
+      {count !== undefined && <span className="text-sm text-gray-400 ml-1">({count})</span>}
+    </div>
+  );
+}
+
+// clickable stars for the review form
+function StarInput({ value, onChange }) {
+  const [hovered, setHovered] = useState(0);
+  const shown = hovered || value;
+  return (
+    <div className="flex gap-1" onMouseLeave={() => setHovered(0)}>
+      {[1, 2, 3, 4, 5].map(star => (
+        <button
+          key={star}
+          type="button"
+          onClick={() => onChange(star)}
+          onMouseEnter={() => setHovered(star)}
+          aria-label={`${star} star${star > 1 ? 's' : ''}`}
+        >
+          <Star size={24} className={star <= shown ? 'text-amber-400 fill-amber-400' : 'text-gray-600'} />
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// review list + form for the product page.
+// `onRatingChange` gets the product's new { average, count } after a review is posted
+export default function ProductReviews({ productId, user, onRatingChange }) {
+  const [reviews, setReviews] = useState([]);
+  const [meta, setMeta] = useState({ total: 0, page: 1, hasMore: false });
+  const [sort, setSort] = useState('newest');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // page 1 replaces the list, later pages append ("load more")
+  const loadReviews = useCallback(async (page, ignore = () => false) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await apiClient.get(`/products/${productId}/reviews`, { params: { sort, page } });
+      if (ignore()) return;
+      const { reviews: pageReviews, ...pageMeta } = response.data;
+      setReviews(prev => (page === 1 ? pageReviews : [...prev, ...pageReviews]));
+      setMeta(pageMeta);
+    } catch (err) {
+      console.error("Error fetching reviews:", err);
+      if (!ignore()) setError(apiError(err, "Failed to load reviews.").message);
+    } finally {
+      if (!ignore()) setLoading(false);
+    }
+  }, [productId, sort]);
+
+  useEffect(() => {
+    let ignore = false;
+    loadReviews(1, () => ignore);
+    return () => { ignore = true; };
+  }, [loadReviews]);
+
+  const handlePosted = ({ review, rating }) => {
+    // show it at the top, whatever the sort - they'll want to see it landed
+    setReviews(prev => [review, ...prev]);
+    setMeta(prev => ({ ...prev, total: prev.total + 1 }));
+    onRatingChange(rating);
+  };
+
+  return (
+    <section className="mt-12">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <h2 className="text-2xl font-bold text-white">Reviews ({meta.total})</h2>
+        {meta.total > 1 && (
+          <select
+            value={sort}
+            onChange={(e) => setSort(e.target.value)}
+            className="bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            aria-label="Sort reviews"
+          >
+            {REVIEW_SORTS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+        <div className="md:col-span-2">
+          {error && <p className="mb-4 text-red-400">{error}</p>}
+          {reviews.length === 0 && !loading && !error && (
+            <p className="text-gray-400">No reviews yet. Be the first!</p>
+          )}
+          <ul className="space-y-4">
+            {reviews.map(review => (
+              <li key={review.id} className="bg-gray-800/70 border border-gray-700 rounded-lg p-4">
+                <StarRating value={review.rating} />
+                <p className="text-white font-semibold mt-2">{review.title}</p>
+                {review.body && <p className="text-gray-300 mt-1 whitespace-pre-line">{review.body}</p>}
+                <p className="text-sm text-gray-400 mt-2 flex items-center gap-2">
+                  {review.author} · {new Date(review.createdAt).toLocaleDateString()}
+                  {review.verifiedPurchase && (
+                    <span className="inline-flex items-center text-green-400">
+                      <BadgeCheck size={14} className="mr-1" />
+                      Verified purchase
+                    </span>
+                  )}
+                </p>
+              </li>
+            ))}
+          </ul>
+          {loading && (
+            <div className="flex justify-center py-6">
+              <Loader2 size={28} className="animate-spin text-indigo-400" />
+            </div>
+          )}
+          {meta.hasMore && !loading && (
+            <button
+              onClick={() => loadReviews(meta.page + 1)}
+              className="mt-4 text-indigo-400 hover:text-indigo-300 font-medium"
+            >
+              Show more reviews
+            </button>
+          )}
+        </div>
+
+        <ReviewForm productId={productId} user={user} onPosted={handlePosted} />
+      </div>
+    </section>
+  );
+}
+
+function ReviewForm({ productId, user, onPosted }) {
+  const [formData, setFormData] = useState(EMPTY_REVIEW);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [formError, setFormError] = useState(null);
+  const [posted, setPosted] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.rating) {
+      setFormError('Pick a star rating.');
+      return;
+    }
+    setIsSubmitting(true);
+    setFormError(null);
+    try {
+      // signed in? the server uses the account's name and email
+      const body = { rating: formData.rating, title: formData.title, body: formData.body };
+      if (!user) Object.assign(body, { name: formData.name, email: formData.email });
+      const response = await apiClient.post(`/products/${productId}/reviews`, body);
+      onPosted(response.data);
+      setFormData(EMPTY_REVIEW);
+      setPosted(true);
+    } catch (err) {
+      console.error("Error posting review:", err);
+      setFormError(errorText(apiError(err, "Failed to post review.")));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (posted) {
+    return (
+      <div className="bg-gray-800/70 border border-gray-700 rounded-lg p-5 h-fit text-gray-300">
+        Thanks for your review!
+      </div>
+    );
+  }
+
+  const inputClass = "w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-gray-800/70 border border-gray-700 rounded-lg p-5 space-y-3 h-fit">
+      <h3 className="text-lg font-semibold text-white">Write a review</h3>
+      {formError && <p className="text-red-400 text-sm">{formError}</p>}
+      <StarInput value={formData.rating} onChange={rating => setFormData(prev => ({ ...prev, rating }))} />
+      <input type="text" name="title" value={formData.title} onChange={handleChange} placeholder="Title" maxLength={120} required className={inputClass} />
+      <textarea name="body" value={formData.body} onChange={handleChange} placeholder="What did you think?" rows={4} maxLength={5000} className={inputClass} />
+      {user ? (
+        <p className="text-sm text-gray-400">Posting as {user.name}</p>
+      ) : (
+        <>
+          <input type="text" name="name" value={formData.name} onChange={handleChange} placeholder="Your name" required className={inputClass} />
+          <input type="email" name="email" value={formData.email} onChange={handleChange} placeholder="Email (not shown)" required className={inputClass} />
+        </>
+      )}
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="w-full flex items-center justify-center bg-indigo-500 text-white font-semibold py-2 px-4 rounded-lg hover:bg-indigo-600 transition-colors disabled:bg-gray-600"
+      >
+        {isSubmitting && <Loader2 size={18} className="animate-spin mr-2" />}
+        Post Review
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,43 @@
+import React from 'react';
+import { VARIANT_OPTIONS, hasVariants, optionValues } from './variants';
+
+// show "Only N left" at or below this many units
+export const LOW_STOCK_THRESHOLD = 5;
+
+// one row of buttons per option (size, color). `selection` comes from useVariantSelection
+export default function VariantPicker({ product, selection, onSelect }) {
+  if (!hasVariants(product)) return null;
+
+  return VARIANT_OPTIONS.map(option => {
+    const values = optionValues(product, option);
+    if (values.length === 0) return null;
+    return (
+      <div key={option} className="flex flex-wrap gap-2 mt-2" role="group" aria-label={option}>
+        {values.map(value => (
+          <button
+            key={value}
+            onClick={() => onSelect(option, value)}
+            className={`px-2 py-1 text-xs font-medium rounded border transition-colors ${selection[option] === value
+              ? 'border-indigo-400 bg-indigo-500/20 text-white'
+              : 'border-gray-600 text-gray-300 hover:border-gray-400'}`}
+          >
+            {value}
+          </button>
+        ))}
+      </div>
+    );
+  });
+}
+
+// sold out / low stock / no such combination
+export function StockNote({ stock, isUnavailable, className = '' }) {
+  return (
+    <p className={`text-sm font-medium text-amber-400 min-h-[1.25rem] ${className}`}>
+      {isUnavailable
+        ? 'Not available in this combination'
+        : stock <= 0
+          ? 'Sold out'
+          : stock <= LOW_STOCK_THRESHOLD && `Only ${stock} left`}
+    </p>
+  );
+}
@@ -0,0 +1,78 @@
+import axios from 'axios';
+
+// API client setup. REACT_APP_API_URL is read at build time (see .env.example)
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001/api';
+
+export const apiClient = axios.create({
+  baseURL: API_BASE_URL
+});
+
+// Anonymous cart token - the backend issues one on first visit,
+// we keep it in localStorage so the cart survives reloads
+const CART_TOKEN_KEY = 'vibeCartToken';
+
+// Signed-in customers also get a JWT from /auth/login or /auth/register
+const AUTH_TOKEN_KEY = 'vibeAuthToken';
+
+export const getAuthToken = () => localStorage.getItem(AUTH_TOKEN_KEY);
+
+export const getCartToken = () => localStorage.getItem(CART_TOKEN_KEY);
+
+export const setAuthToken = (token) => {
+  localStorage.setItem(AUTH_TOKEN_KEY, token);
+};
+
+// signing out drops the cart token too - that cart belongs to the account now
+export const clearAuthToken = () => {
+  localStorage.removeItem(AUTH_TOKEN_KEY);
+  localStorage.removeItem(CART_TOKEN_KEY);
+};
+
+apiClient.interceptors.request.use((config) => {
+  const token = getCartToken();
+  if (token) {
+    config.headers['X-Cart-Token'] = token;
+  }
+  const authToken = getAuthToken();
+  if (authToken) {
+    config.headers['Authorization'] = `Bearer ${authToken}`;
+  }
+  return config;
+});
+
+apiClient.interceptors.response.use((response) => {
+  const token = response.headers['x-cart-token'];
+  if (token) {
+    localStorage.setItem(CART_TOKEN_KEY, token);
+  }
+  return response;
+});
+
+// Admin calls send the admin key from the admin screen
+export const adminHeaders = (adminKey) => ({ 'X-Admin-Key': adminKey });
+
+// API errors come back as { error: { code, message, details, requestId } } (see backend/errors.js).
+// apiError() flattens an axios error into { status, code, message, details, requestId };
+// `fallbackMessage` is used when the server didn't say (or couldn't be reached).
+// requestId finds the request in the server logs
+export const apiError = (err, fallbackMessage = 'Something went wrong. Please try again.') => {
+  if (!err.response) {
+    return { status: null, code: 'NETWORK_ERROR', message: fallbackMessage, details: undefined, requestId: undefined };
+  }
+  const body = err.response.data?.error || {};
+  return {
+    status: err.response.status,
+    code: body.code || 'INTERNAL_ERROR',
+    message: body.message || fallbackMessage,
+    details: body.details,
+    requestId: body.requestId || err.response.headers['x-request-id']
+  };
+};
+
+// the message plus any field errors ("address.city: Required"), for forms/alerts.
+// Server faults get the request id too, for a bug report
+export const errorText = ({ status, code, message, details, requestId }, separator = ' ') => {
+  if (status >= 500 && requestId) return `${message} (ref ${requestId})`;
+  if (code !== 'VALIDATION_ERROR' || !Array.isArray(details)) return message;
+  return [message, ...details.map(issue => (issue.field ? `${issue.field}: ${issue.message}` : issue.message))].join(separator);
+};
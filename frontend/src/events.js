@@ -0,0 +1,71 @@
+import { useEffect, useRef } from 'react';
+import { API_BASE_URL } from './api';
+
+// Live updates from GET /api/events (Server-Sent Events, see backend/events.js).
+// App opens the one connection with useEventStream(); any component can
+// listen for an event type with useStoreEvent():
+//   'product' - a product changed (the whole product)
+//   'cart'    - our cart changed, { version } - fetch it if that's newer
+//   'resync'  - events were missed, reload what's on screen
+
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const EVENT_TYPES = ['product', 'cart', 'resync'];
+
+const listeners = Object.fromEntries(EVENT_TYPES.map(type => [type, new Set()]));
+
+// call `handler(data)` for every `type` event while mounted
+export function useStoreEvent(type, handler) {
+  // always the latest handler, without resubscribing on every render
+  const latest = useRef(handler);
+  useEffect(() => {
+    latest.current = handler;
+  });
+
+  useEffect(() => {
+    const listener = data => latest.current(data);
+    listeners[type].add(listener);
+    return () => listeners[type].delete(listener);
+  }, [type]);
+}
+
+// keep a connection open, for `cartToken`'s cart events (and everyone's product
+// events). EventSource reconnects by itself after a blip; when the server
+// refuses or is down it gives up, so then we retry, backing off up to 30s
+export function useEventStream(cartToken) {
+  useEffect(() => {
+    let source = null;
+    let retryTimer = null;
+    let delay = RECONNECT_MIN_MS;
+    let lastEventId = null; // the server replays what we missed since this
+
+    const connect = () => {
+      const params = new URLSearchParams();
+      if (cartToken) params.set('cart', cartToken);
+      if (lastEventId) params.set('lastEventId', lastEventId);
+      source = new EventSource(`${API_BASE_URL}/events?${params}`);
+
+      EVENT_TYPES.forEach((type) => {
+        source.addEventListener(type, (event) => {
+          lastEventId = event.lastEventId || lastEventId;
+          const data = JSON.parse(event.data);
+          listeners[type].forEach(listener => listener(data));
+        });
+      });
+      source.onopen = () => {
+        delay = RECONNECT_MIN_MS;
+      };
+      source.onerror = () => {
+        if (source.readyState !== EventSource.CLOSED) return; // it's retrying itself
+        retryTimer = setTimeout(connect, delay);
+        delay = Math.min(delay * 2, RECONNECT_MAX_MS);
+      };
+    };
+
+    connect();
+    return () => {
+      clearTimeout(retryTimer);
+      source.close();
+    };
+  }, [cartToken]);
+}
@@ -0,0 +1,34 @@
+// Product images. Uploaded photos (see backend/media/images.js) come in a few
+// widths; productImage() gives an <img> a srcset over them so the browser
+// fetches the one that fits where it's shown. Other images (URLs typed into
+// the admin form) are just a src. Either way a broken one shows our placeholder.
+
+export const PLACEHOLDER_IMAGE = `${process.env.PUBLIC_URL}/placeholder.svg`;
+
+// how wide each kind of image shows, for the sizes attribute
+const IMAGE_SLOTS = {
+  grid: '(min-width: 1280px) 25vw, (min-width: 1024px) 33vw, (min-width: 640px) 50vw, 100vw',
+  detail: '(min-width: 768px) 50vw, 100vw',
+  thumb: '80px',
+};
+
+// onError for product images - swap in the placeholder (just the once)
+export function showPlaceholder(e) {
+  const img = e.currentTarget;
+  if (img.getAttribute('src') === PLACEHOLDER_IMAGE) return;
+  img.removeAttribute('srcset');
+  img.src = PLACEHOLDER_IMAGE;
+}
+
+// <img> props for showing `url`, one of `product`'s images, as a `slot`
+// ('grid' | 'detail' | 'thumb'): <img {...productImage(product, url, 'grid')} alt="" />
+export function productImage(product, url, slot) {
+  const props = { src: url || PLACEHOLDER_IMAGE, onError: showPlaceholder };
+  const photo = product?.photos?.find(p => p.sizes.some(size => size.url === url));
+  if (!photo) return props;
+  return {
+    ...props,
+    srcSet: photo.sizes.map(size => `${size.url} ${size.width}w`).join(', '),
+    sizes: IMAGE_SLOTS[slot],
+  };
+}
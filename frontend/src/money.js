@@ -0,0 +1,30 @@
+// Money helpers - the API sends every amount as integer minor units (cents)
+// plus a currency code. Only format at render time.
+
+const DEFAULT_CURRENCY = 'USD';
+
+// cache one formatter per currency, creating them isn't free
+const formatters = {};
+const getFormatter = (currency) => {
+  if (!formatters[currency]) {
+    formatters[currency] = new Intl.NumberFormat(undefined, { style: 'currency', currency });
+  }
+  return formatters[currency];
+};
+
+const minorUnitDigits = (currency) => getFormatter(currency).resolvedOptions().maximumFractionDigits;
+
+// 1299 -> "$12.99"
+export function formatMoney(minor, currency = DEFAULT_CURRENCY) {
+  return getFormatter(currency).format(minor / (10 ** minorUnitDigits(currency)));
+}
+
+// "12.99" (what someone types) -> 1299
+export function toMinorUnits(amount, currency = DEFAULT_CURRENCY) {
+  return Math.round(Number(amount) * (10 ** minorUnitDigits(currency)));
+}
+
+// 1299 -> 12.99 (for form inputs)
+export function fromMinorUnits(minor, currency = DEFAULT_CURRENCY) {
+  return minor / (10 ** minorUnitDigits(currency));
+}
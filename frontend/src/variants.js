@@ -0,0 +1,48 @@
+// Product variants (size/color) - mirrors backend/variants.js
+import { useState } from 'react';
+
+export const VARIANT_OPTIONS = ['size', 'color'];
+
+// "M / Black"
+export const variantLabel = (variant) => (
+  VARIANT_OPTIONS.map(option => variant[option]).filter(Boolean).join(' / ')
+);
+
+export const hasVariants = (product) => Boolean(product.variants?.length);
+
+export const findVariant = (product, variantId) => (
+  variantId ? product.variants?.find(variant => variant._id === variantId) || null : null
+);
+
+// the values an option takes across a product's variants, e.g. ['S', 'M', 'L']
+export const optionValues = (product, option) => (
+  [...new Set(product.variants.map(variant => variant[option]).filter(Boolean))]
+);
+
+// start on the first variant that's in stock
+const defaultSelection = (product) => {
+  if (!hasVariants(product)) return {};
+  const variant = product.variants.find(v => v.stock > 0) || product.variants[0];
+  return Object.fromEntries(VARIANT_OPTIONS.map(option => [option, variant[option]]));
+};
+
+// the options picked for a product, the variant they match (null = that
+// combination doesn't exist) and what's actually on offer: price, stock, image
+export function useVariantSelection(product) {
+  const [selection, setSelection] = useState(() => defaultSelection(product));
+
+  const withVariants = hasVariants(product);
+  const variant = withVariants
+    ? product.variants.find(v => VARIANT_OPTIONS.every(option => (v[option] || undefined) === selection[option])) || null
+    : null;
+
+  return {
+    selection,
+    select: (option, value) => setSelection(prev => ({ ...prev, [option]: value })),
+    variant,
+    price: variant?.price ?? product.price,
+    stock: withVariants ? (variant ? variant.stock : 0) : product.stock,
+    image: variant?.image || product.image,
+    isUnavailable: withVariants && !variant,
+  };
+}